@@ -1,6 +1,19 @@
 export { useAnimationScenario } from "./src/useAnimationScenario";
+export { TimelineView } from "./src/TimelineView";
 export * from "./src/scenarioEngine";
 export * from "./src/compileScenario";
+export * from "./src/analyzeScenario";
+export * from "./src/estimateTimeline";
+export * from "./src/timelineRows";
+export * from "./src/scenarioRunner";
+export * from "./src/scenarioJSON";
+export * from "./src/easing";
+export * from "./src/color";
+export * from "./src/haptics";
+export { createAnimatedDriver, createAnimatedValue } from "./src/drivers/animatedDriver";
+export { createFakeDriver, createFakeClock } from "./src/drivers/fakeDriver";
+export { toSpringConfig } from "./src/drivers/springConfig";
 
 // ⚠️ Not exported here to avoid dependency issues on Snack:
+// export { createReanimatedDriver } from "./reanimated";
 // export { useScreenLifecycle } from "./src/useScreenLifecycle";
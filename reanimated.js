@@ -0,0 +1,3 @@
+// Optional entry point, so that apps without Reanimated don't need it installed:
+// import { createReanimatedDriver } from "react-native-animation-scenario/reanimated";
+export { createReanimatedDriver } from "./src/drivers/reanimatedDriver";
@@ -1,35 +1,195 @@
-import React from "react";
-import { View, Text, StyleSheet } from "react-native";
+import React, { useEffect, useRef } from "react";
+import { View, Text, Pressable, Animated, Easing, StyleSheet } from "react-native";
+
+/** Known duration of a step in ms, undefined when it is unbounded or only known at runtime. */
+const knownDuration = (row) => (row.duration && row.duration.max !== Infinity ? row.duration.min : undefined);
+
+/** Longest known step duration, bars are drawn relative to it. */
+const longestDuration = (rows) => Math.max(1, ...rows.map(row => knownDuration(row) ?? 0));
+
+/** Consecutive rows coming from the same `use()`d block. */
+const groupByBlock = (rows) => rows.reduce((groups, row) => {
+  const last = groups[groups.length - 1];
+  if (last && last.block === row.block) last.rows.push(row);
+  else groups.push({ block: row.block, rows: [row] });
+  return groups;
+}, []);
 
 /**
- * Simple component that displays the list of step labels and highlights the
- * currently active one. Useful when debugging scenarios.
+ * Bar as long as the step, filled while the step runs. Unbounded steps
+ * (holds, springs, async callbacks...) get a dashed bar without fill.
  */
-export const TimelineView = ({ stepLabels, currentStepIndex }) => (
-  <View style={styles.timeline}>
-    {stepLabels.map((label, index) => (
-      <Text
-        key={index}
+const StepBar = ({ row, longest, active, running, speed }) => {
+  const fill = useRef(new Animated.Value(0)).current;
+  const ms = knownDuration(row);
+
+  useEffect(() => {
+    if (!active) {
+      fill.setValue(0);
+      return undefined;
+    }
+    if (!running || !(ms > 0)) return undefined;
+    let animation;
+    fill.stopAnimation(progress => {
+      animation = Animated.timing(fill, {
+        toValue: 1,
+        duration: (1 - progress) * ms / speed,
+        easing: Easing.linear,
+        useNativeDriver: false,
+      });
+      animation.start();
+    });
+    return () => animation?.stop();
+  }, [active, running, ms, speed]);
+
+  if (ms === undefined) return <View style={[styles.bar, styles.barUnbounded]} />;
+  if (ms === 0) return null;
+  return (
+    <View style={[styles.bar, { width: `${Math.max(4, (ms / longest) * 100)}%` }]}>
+      <Animated.View style={[styles.barFill, { width: fill.interpolate({ inputRange: [0, 1], outputRange: ["0%", "100%"] }) }]} />
+    </View>
+  );
+};
+
+/** One step: title, jump targets and duration bar, indented by its nesting depth. */
+const StepRow = ({ row, rows, longest, active, running, speed, onPress }) => {
+  const isComment = row.type === "comment";
+  const content = (
+    <View style={[styles.row, { marginLeft: row.depth * 12 }]}>
+      <View style={styles.rowHeader}>
+        <Text
+          style={[
+            styles.title,
+            row.type === "label" && styles.titleLabel,
+            row.type === "hold" && styles.titleHold,
+            isComment && styles.titleComment,
+            !row.start && styles.titleUnreachable,
+            active && styles.titleActive,
+          ]}
+        >
+          {isComment ? `// ${row.title}` : row.title}
+        </Text>
+        {row.jumps.length > 0 && (
+          <Text style={styles.jumps}>{row.jumps.map(index => `#${index} ${rows[index]?.title ?? ""}`).join(" · ")}</Text>
+        )}
+      </View>
+      {!isComment && <StepBar row={row} longest={longest} active={active} running={running} speed={speed} />}
+    </View>
+  );
+  return onPress ? <Pressable onPress={() => onPress(row)}>{content}</Pressable> : content;
+};
+
+/** Steps of a program, grouped by block. */
+const StepList = ({ rows, activeIndex, running, speed, onStepPress }) => {
+  const longest = longestDuration(rows);
+  const renderRow = (row) => (
+    <StepRow
+      key={row.index}
+      row={row}
+      rows={rows}
+      longest={longest}
+      active={row.index === activeIndex}
+      running={running}
+      speed={speed}
+      onPress={onStepPress}
+    />
+  );
+  return groupByBlock(rows).map(({ block, rows: groupRows }) => (
+    block
+      ? (
+        <View key={groupRows[0].index} style={styles.block}>
+          <Text style={styles.blockTitle}>{block}</Text>
+          {groupRows.map(renderRow)}
+        </View>
+      )
+      : <React.Fragment key={groupRows[0].index}>{groupRows.map(renderRow)}</React.Fragment>
+  ));
+};
+
+/** A single strip of segments sized by duration, the active one highlighted. */
+const Minimap = ({ rows, activeIndex, onStepPress }) => (
+  <View style={styles.minimap}>
+    {rows.filter(row => row.type !== "comment").map(row => (
+      <Pressable
+        key={row.index}
+        onPress={onStepPress ? () => onStepPress(row) : undefined}
         style={[
-          styles.timelineLabel,
-          index === currentStepIndex && styles.timelineLabelActive,
+          styles.segment,
+          { flexGrow: Math.max(1, Math.min(knownDuration(row) ?? 1000, 5000) / 100) },
+          row.type === "hold" && styles.segmentHold,
+          row.index === activeIndex && styles.segmentActive,
         ]}
-      >
-        {label}
-      </Text>
+      />
     ))}
   </View>
 );
 
+/**
+ * Debug view of a scenario: its steps grouped by block, indented in
+ * conditionals and loops, with `goto` targets, duration bars and the
+ * playback status, plus one list per track started by `fork()`. Tapping a
+ * step calls `onStepPress(row)`. `minimap` collapses each list to a thin
+ * strip, e.g. for an on-device dev overlay.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.rows - Rows of the main flow, see `buildTimelineRows`.
+ * @param {number} props.currentStepIndex
+ * @param {string} [props.status] - Playback status.
+ * @param {number} [props.speed=1] - Playback rate, to fill the bars at the right pace.
+ * @param {Array<Object>} [props.tracks] - Tracks of the playback state.
+ * @param {Object<string,Array<Object>>} [props.trackRows] - Rows of each forked block.
+ * @param {Function} [props.onStepPress] - Called with the row tapped in the main flow.
+ * @param {boolean} [props.minimap=false]
+ */
+export const TimelineView = ({
+                               rows,
+                               currentStepIndex,
+                               status = "idle",
+                               speed = 1,
+                               tracks = [],
+                               trackRows = {},
+                               onStepPress,
+                               minimap = false,
+                             }) => {
+  const List = minimap ? Minimap : StepList;
+  return (
+    <View style={styles.timeline}>
+      <Text style={styles.status}>{status}</Text>
+      <List rows={rows} activeIndex={currentStepIndex} running={status === "running"} speed={speed} onStepPress={onStepPress} />
+      {tracks.map(track => (
+        <View key={track.id} style={styles.track}>
+          <Text style={styles.trackTitle}>{`${track.id} (${track.block}) · ${track.status}`}</Text>
+          <List
+            rows={trackRows[track.block] ?? []}
+            activeIndex={["running", "holding"].includes(track.status) ? track.stepIndex : -1}
+            running={track.status === "running" && status !== "paused"}
+            speed={speed}
+          />
+        </View>
+      ))}
+    </View>
+  );
+};
+
 const styles = StyleSheet.create({
   timeline: {
-    flexDirection: "row",
-    flexWrap: "wrap",
-    justifyContent: "center",
     marginTop: 12,
+    paddingHorizontal: 8,
+  },
+  status: {
+    textAlign: "center",
+    fontSize: 11,
+    color: "#666",
+    marginBottom: 4,
+  },
+  row: {
+    marginVertical: 2,
   },
-  timelineLabel: {
-    marginHorizontal: 4,
+  rowHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  title: {
     paddingHorizontal: 6,
     paddingVertical: 3,
     borderRadius: 4,
@@ -37,9 +197,79 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: "#888",
   },
-  timelineLabelActive: {
+  titleLabel: {
+    color: "#333",
+    fontWeight: "600",
+  },
+  titleHold: {
+    backgroundColor: "#ffe4b3",
+  },
+  titleComment: {
+    backgroundColor: "transparent",
+    fontStyle: "italic",
+  },
+  titleUnreachable: {
+    opacity: 0.4,
+  },
+  titleActive: {
     backgroundColor: "#ffd700",
     color: "#000",
     fontWeight: "bold",
   },
+  jumps: {
+    marginLeft: 6,
+    fontSize: 11,
+    color: "#4a7bd0",
+  },
+  bar: {
+    height: 3,
+    marginTop: 2,
+    borderRadius: 2,
+    backgroundColor: "#ddd",
+    overflow: "hidden",
+  },
+  barUnbounded: {
+    width: "100%",
+    backgroundColor: "transparent",
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: "#ccc",
+  },
+  barFill: {
+    height: "100%",
+    backgroundColor: "#ffd700",
+  },
+  block: {
+    marginVertical: 4,
+    paddingLeft: 6,
+    borderLeftWidth: 2,
+    borderLeftColor: "#ccd",
+  },
+  blockTitle: {
+    fontSize: 11,
+    color: "#669",
+  },
+  minimap: {
+    flexDirection: "row",
+    height: 6,
+  },
+  segment: {
+    marginHorizontal: 1,
+    borderRadius: 2,
+    backgroundColor: "#ddd",
+  },
+  segmentHold: {
+    backgroundColor: "#ffe4b3",
+  },
+  segmentActive: {
+    backgroundColor: "#ffd700",
+  },
+  track: {
+    marginTop: 8,
+  },
+  trackTitle: {
+    textAlign: "center",
+    fontSize: 11,
+    color: "#666",
+  },
 });
@@ -0,0 +1,218 @@
+import { getFlowGraph, isAsync } from "./controlFlow.js";
+
+/** Steps that always yield to the event loop (animation frame, timer, user input or the end of a track). */
+const TIMED_TYPES = ["move", "spring", "decay", "keyframes", "parallel", "stagger", "delay", "hold", "join"];
+
+/** Step fields holding a callback name or function, awaited by the runner. */
+const CALLBACK_FIELDS = ["condition", "value", "delta", "count", "duration", "interval", "to"];
+
+/**
+ * Whether a step yields to the event loop: a timed step, a step with a
+ * callback or expression duration, or a step awaiting an async callback.
+ */
+const yields = (step, callbacks) => {
+  if (TIMED_TYPES.includes(step.type)) return true;
+  if (typeof step.duration === "string" || typeof step.duration === "function") return true;
+  if (step.type === "callback") return isAsync(callbacks[step.name]);
+  return CALLBACK_FIELDS.some(field => isAsync(typeof step[field] === "string" ? callbacks[step[field]] : step[field]));
+};
+
+/** Back edges that can repeat forever, unlike `endRepeat` which is bounded by its count. */
+const UNBOUNDED_TYPES = ["goto", "ifJump", "endWhile", "resume"];
+
+/** Steps that do nothing at runtime and are not worth reporting when unreachable. */
+const INERT_TYPES = ["comment", "label"];
+
+/**
+ * Find the strongly connected components of a graph (Tarjan's algorithm).
+ *
+ * @param {number} size - Number of nodes.
+ * @param {function(number): Array<number>} next - Successors of a node.
+ * @returns {Array<Array<number>>}
+ */
+const findComponents = (size, next) => {
+  const indexes = new Array(size);
+  const lowLinks = new Array(size);
+  const onStack = new Array(size).fill(false);
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    indexes[node] = lowLinks[node] = counter++;
+    stack.push(node);
+    onStack[node] = true;
+    next(node).forEach(to => {
+      if (indexes[to] === undefined) {
+        visit(to);
+        lowLinks[node] = Math.min(lowLinks[node], lowLinks[to]);
+      } else if (onStack[to]) {
+        lowLinks[node] = Math.min(lowLinks[node], indexes[to]);
+      }
+    });
+    if (lowLinks[node] === indexes[node]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack[member] = false;
+        component.push(member);
+      } while (member !== node);
+      components.push(component.sort((a, b) => a - b));
+    }
+  };
+
+  for (let node = 0; node < size; node++) {
+    if (indexes[node] === undefined) visit(node);
+  }
+  return components;
+};
+
+/**
+ * Find `use()` cycles between blocks, e.g. `a > b > a`, and the blocks used
+ * from `roots` directly or through other blocks.
+ */
+const findRecursiveBlocks = (blocks, roots) => {
+  const uses = (name) => {
+    const block = blocks[name];
+    const steps = Array.isArray(block) ? block : block?.steps ?? [];
+    return [...new Set(steps.filter(s => s?.type === "use" && blocks[s.block]).map(s => s.block))];
+  };
+
+  const used = new Set();
+  const pending = [...roots];
+  while (pending.length) {
+    const name = pending.pop();
+    if (used.has(name) || !blocks[name]) continue;
+    used.add(name);
+    pending.push(...uses(name));
+  }
+
+  const cycles = [];
+  const seen = new Set();
+  const walk = (name, path) => {
+    if (path.includes(name)) {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      const key = [...cycle.slice(0, -1)].sort().join(",");
+      if (!seen.has(key)) {
+        seen.add(key);
+        cycles.push(cycle);
+      }
+      return;
+    }
+    uses(name).forEach(used => walk(used, [...path, name]));
+  };
+  Object.keys(blocks).forEach(name => walk(name, []));
+  return { cycles, used };
+};
+
+/** Format `[3, 4, 5, 8]` as `"3-5, 8"`. */
+const formatRanges = (indexes) => {
+  const ranges = [];
+  indexes.forEach(i => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else ranges.push([i, i]);
+  });
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(", ");
+};
+
+/**
+ * Static flow analysis of a compiled scenario. Builds the control-flow graph
+ * over `goto`, `ifJump`, `ifThen`, loops, `call`/`ret`, `resume` and `stop`
+ * and reports:
+ * - unreachable steps, and steps that can never run after a `stop()`,
+ * - zero-time cycles: `goto`/`whileDo` loops without any `move`/`delay`/`hold`...
+ *   step or async callback, which block the JS thread. As the analysis cannot
+ *   see every callback that yields, they are warnings unless `strict` is set,
+ * - recursive block references (when `blocks` are provided), only warnings
+ *   between blocks the scenario never uses.
+ *
+ * The blocks started with `fork()` are analyzed as well, from their first step.
+ *
+ * Only the first step is an entry point: labels reached with
+ * `nextStep(label)` from app code are not taken into account.
+ *
+ * @param {{steps: Array, labels: Object, scopedLabels?: Object, tracks?: Object}} compiled - Result of `compileScenario`.
+ * @param {Object} [options]
+ * @param {Object<string,Array|Object>} [options.blocks] - Blocks to check for recursive references.
+ * @param {Object<string,Function>} [options.callbacks] - Async callbacks count as yielding steps.
+ * @param {boolean} [options.strict=false] - Report every issue as an error.
+ * @param {boolean} [throughErrors=true] - Throw an error if the analysis finds errors.
+ * @returns {{graph: Array<Array<{to: number, type: string}>>, reachable: Array<boolean>, errors: Array<string>, warnings: Array<string>}}
+ */
+export const analyzeScenario = ({ steps, labels, scopedLabels = {}, tracks = {} }, { blocks = {}, callbacks = {}, strict = false } = {}, throughErrors = true) => {
+  const errors = [];
+  const warnings = [];
+  const report = (message, isError = false) => (isError || strict ? errors : warnings).push(message);
+
+  const graph = getFlowGraph(steps, { ...scopedLabels, ...labels })
+    .map(edges => edges.filter(edge => edge.to < steps.length));
+
+  // Reachability from the first step
+  const reachable = new Array(steps.length).fill(false);
+  const pending = steps.length ? [0] : [];
+  while (pending.length) {
+    const index = pending.pop();
+    if (reachable[index]) continue;
+    reachable[index] = true;
+    graph[index].forEach(edge => pending.push(edge.to));
+  }
+
+  // Unreachable steps, grouped by run
+  let run = [];
+  const flush = () => {
+    const relevant = run.filter(i => !INERT_TYPES.includes(steps[i].type));
+    if (relevant.length) {
+      const afterStop = run[0] > 0 && steps[run[0] - 1].type === "stop";
+      report(afterStop
+        ? `Step(s) ${formatRanges(relevant)} after "stop" at step ${run[0] - 1} can never run`
+        : `Step(s) ${formatRanges(relevant)} are unreachable`);
+    }
+    run = [];
+  };
+  steps.forEach((_, i) => {
+    if (!reachable[i]) run.push(i);
+    else flush();
+  });
+  flush();
+
+  // Zero-time cycles among reachable steps that never yield
+  const isInstant = (i) => reachable[i] && !yields(steps[i], callbacks);
+  const instantNext = (i) => (isInstant(i) ? graph[i].map(e => e.to).filter(isInstant) : []);
+  findComponents(steps.length, instantNext).forEach(component => {
+    const isCycle = component.length > 1 || instantNext(component[0]).includes(component[0]);
+    if (!isInstant(component[0]) || !isCycle) return;
+    if (!component.some(i => UNBOUNDED_TYPES.includes(steps[i].type))) return;
+    const members = new Set(component);
+    const hasExit = component.some(i => graph[i].some(e => !members.has(e.to)) || graph[i].length === 0);
+    report(hasExit
+      ? `Steps ${formatRanges(component)} form a loop without any move/delay/hold step: it blocks the JS thread while it runs`
+      : `Steps ${formatRanges(component)} form an infinite loop without any move/delay/hold step: it freezes the JS thread`);
+  });
+
+  // Recursive block references, from the blocks expanded or forked by the scenario
+  const roots = [
+    ...steps.map(step => step.__sourceBlock).filter(Boolean),
+    ...steps.filter(step => step.type === "fork").map(step => step.block),
+    ...Object.keys(tracks),
+  ];
+  const { cycles, used } = findRecursiveBlocks(blocks, roots);
+  cycles.forEach(cycle => (cycle.some(name => used.has(name))
+    ? report(`Recursive block reference: ${cycle.join(" > ")}`, true)
+    : report(`Recursive block reference in unused blocks: ${cycle.join(" > ")}`)));
+
+  // Tracks started with fork(), analyzed on their own
+  Object.entries(tracks).forEach(([block, program]) => {
+    const analysis = analyzeScenario(program, { callbacks, strict }, false);
+    analysis.errors.forEach(error => errors.push(`Track '${block}': ${error}`));
+    analysis.warnings.forEach(warning => warnings.push(`Track '${block}': ${warning}`));
+  });
+
+  if (throughErrors && errors.length) {
+    const messages = [...new Set(errors)].map(e => `• ${e}`).join("\n");
+    throw new Error(`Scenario analysis failed:\n${messages}`);
+  }
+
+  return { graph, reachable, errors, warnings };
+};
@@ -0,0 +1,116 @@
+/*
+Values a scenario can animate besides numbers: colors and `{x, y}` pairs
+(`Animated.Color` and `Animated.ValueXY` in React Native).
+
+parseColor("#ff000080");                           // [255, 0, 0, 0.5]
+parseColor("tomato");                              // [255, 99, 71, 1]
+mixValues("#000", "#fff", 0.5);                    // "rgba(128, 128, 128, 1)"
+mixValues({ x: 0, y: 0 }, { x: 10, y: 20 }, 0.5);  // { x: 5, y: 10 }
+ */
+
+const HEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i;
+
+/** CSS named colors, the ones React Native accepts, as 0xrrggbb. */
+const NAMED_COLORS = Object.freeze({
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4, azure: 0xf0ffff,
+  beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd, blue: 0x0000ff, blueviolet: 0x8a2be2,
+  brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00, chocolate: 0xd2691e,
+  coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c, cyan: 0x00ffff,
+  darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9, darkgreen: 0x006400,
+  darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f, darkorange: 0xff8c00,
+  darkorchid: 0x9932cc, darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f, darkslateblue: 0x483d8b,
+  darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1, darkviolet: 0x9400d3,
+  deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969, dodgerblue: 0x1e90ff,
+  firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff, gainsboro: 0xdcdcdc,
+  ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000, greenyellow: 0xadff2f,
+  grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4, indianred: 0xcd5c5c, indigo: 0x4b0082, ivory: 0xfffff0,
+  khaki: 0xf0e68c, lavender: 0xe6e6fa, lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd,
+  lightblue: 0xadd8e6, lightcoral: 0xf08080, lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2,
+  lightgray: 0xd3d3d3, lightgreen: 0x90ee90, lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a,
+  lightseagreen: 0x20b2aa, lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899,
+  lightsteelblue: 0xb0c4de, lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32, linen: 0xfaf0e6,
+  magenta: 0xff00ff, maroon: 0x800000, mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3,
+  mediumpurple: 0x9370db, mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a,
+  mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585, midnightblue: 0x191970, mintcream: 0xf5fffa,
+  mistyrose: 0xffe4e1, moccasin: 0xffe4b5, navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000,
+  olivedrab: 0x6b8e23, orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6, palegoldenrod: 0xeee8aa,
+  palegreen: 0x98fb98, paleturquoise: 0xafeeee, palevioletred: 0xdb7093, papayawhip: 0xffefd5, peachpuff: 0xffdab9,
+  peru: 0xcd853f, pink: 0xffc0cb, plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399,
+  red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513, salmon: 0xfa8072,
+  sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee, sienna: 0xa0522d, silver: 0xc0c0c0,
+  skyblue: 0x87ceeb, slateblue: 0x6a5acd, slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa,
+  springgreen: 0x00ff7f, steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8, tomato: 0xff6347,
+  turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3, white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00,
+  yellowgreen: 0x9acd32
+});
+
+/** Convert HSL (degrees, percents) to RGB channels. */
+const hslToRgb = (h, s, l) => {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)].map(v => v * 255);
+};
+
+/**
+ * Parse a color string: `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()`,
+ * `rgba()`, `hsl()`, `hsla()`, `transparent` or a CSS color name like `red`.
+ *
+ * @param {*} value
+ * @returns {Array<number>|null} `[r, g, b, a]` with channels in 0-255 and alpha in 0-1, or null.
+ */
+export const parseColor = (value) => {
+  if (typeof value !== "string") return null;
+  const source = value.trim();
+  const name = source.toLowerCase();
+  if (name === "transparent") return [0, 0, 0, 0];
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, name)) {
+    const rgb = NAMED_COLORS[name];
+    return [rgb >> 16, (rgb >> 8) & 0xff, rgb & 0xff, 1];
+  }
+
+  const hex = HEX.exec(source);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map(d => d + d).join("");
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+  }
+
+  const call = FUNCTION.exec(source);
+  if (!call) return null;
+  const args = call[2].split(/\s*,\s*/);
+  if (args.length !== 3 && args.length !== 4) return null;
+  const numbers = args.map(arg => parseFloat(arg));
+  if (numbers.some(Number.isNaN)) return null;
+  const alpha = args.length === 4 ? numbers[3] : 1;
+  const rgb = call[1].toLowerCase().startsWith("hsl")
+    ? hslToRgb(numbers[0], numbers[1] / 100, numbers[2] / 100)
+    : numbers.slice(0, 3);
+  return [...rgb, alpha];
+};
+
+/** Whether a value is a color string understood by `parseColor()`. */
+export const isColor = (value) => parseColor(value) !== null;
+
+/** Whether a value is an `{x, y}` pair of numbers, the value of an `Animated.ValueXY`. */
+export const isValueXY = (value) => !!value && typeof value === "object"
+  && typeof value.x === "number" && typeof value.y === "number";
+
+/**
+ * Value at `progress` (0-1) between `from` and `to`: numbers, `{x, y}` pairs
+ * or colors, mixed channel by channel like `Animated.Color`.
+ */
+export const mixValues = (from, to, progress) => {
+  if (isValueXY(from) && isValueXY(to)) {
+    return { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress };
+  }
+  const a = parseColor(from);
+  const b = parseColor(to);
+  if (a && b) {
+    const [r, g, bl, alpha] = a.map((channel, i) => channel + (b[i] - channel) * progress);
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(bl)}, ${Math.round(alpha * 1000) / 1000})`;
+  }
+  return from + (to - from) * progress;
+};
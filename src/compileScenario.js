@@ -1,36 +1,417 @@
+import { compileExpression } from "./expression.js";
+import { getSuccessors, matchLoops } from "./controlFlow.js";
+import { isColor, isValueXY } from "./color.js";
+import { HAPTIC_STYLES, isHapticFeedback } from "./haptics.js";
+
+const ANIMATION_TYPES = ["move", "spring", "decay", "keyframes"];
+
+/** Steps allowed as targets of `parallel()` and `stagger()`. */
+const TARGET_TYPES = [...ANIMATION_TYPES, "sequence"];
+
+/** Steps allowed in a `sequence()` run as a target: no control flow. */
+const NESTED_TYPES = [...TARGET_TYPES, "parallel", "stagger", "delay", "set", "setVar", "incVar", "callback", "vibrate"];
+
+/** Steps holding other steps, and the field holding them. */
+const CHILDREN_FIELDS = { parallel: "targets", stagger: "targets", sequence: "steps" };
+
+/** A step and the steps nested in it through `parallel()`, `stagger()` and `sequence()`. */
+const withNestedSteps = (step) => {
+  const children = step && CHILDREN_FIELDS[step.type] ? step[CHILDREN_FIELDS[step.type]] : undefined;
+  return Array.isArray(children) ? [step, ...children.flatMap(withNestedSteps)] : [step];
+};
+
+const isPattern = (target) => typeof target === "string" && target.includes("*");
+
+/** Keys matching a target pattern where `*` stands for any characters, in their order. */
+const matchPattern = (pattern, keys) => {
+  const regex = new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+  return keys.filter(key => regex.test(key));
+};
+
+const SPRING_GROUPS = [
+  ["bounciness", "speed"],
+  ["tension", "friction"],
+  ["stiffness", "damping", "mass"],
+];
+const SPRING_OPTIONS = ["velocity", "overshootClamping", "restDisplacementThreshold", "restSpeedThreshold", "delay", "native", ...SPRING_GROUPS.flat()];
+
+const isRelative = (value) => !!value && typeof value === "object" && (value.type === "inc" || value.type === "dec") && typeof value.value === "number";
 
 /**
- * Flattens a scenario definition into executable steps while validating labels
- * and referenced blocks.
- *
- * @param {Array<Object>} scenario - Array of step objects or block references.
- * @param {Object} [options]
- * @param {Object<string,Array>} [options.blocks] - Named blocks referenced via `use` steps.
- * @param {Object<string,Function>} [options.callbacks] - Callback functions referenced in the scenario.
- * @param {Object<string,number>} [options.initialValues] - Animated values available to steps.
- * @param {boolean} [throughErrors=true] - Throw an error if validation fails.
- * @returns {{steps: Array, labels: Object, validationErrors: Array<string>}}
+ * Validate the configuration of a `spring`, `decay` or `keyframes` step and
+ * push every problem found to `validationErrors`.
+ */
+function validateAnimationStep(step, validationErrors) {
+  const where = step.label ? `${step.type} '${step.label}'` : step.type;
+
+  if (step.type === "spring") {
+    if (typeof step.to !== "number" && typeof step.to !== "string" && typeof step.to !== "function" && !isRelative(step.to)) {
+      validationErrors.push(`${where}: 'to' must be a number, inc()/dec() or a callback.`);
+    }
+    if (!step.config || typeof step.config !== "object" || Array.isArray(step.config)) {
+      validationErrors.push(`${where}: config must be an object.`);
+      return;
+    }
+    Object.entries(step.config).forEach(([key, value]) => {
+      if (!SPRING_OPTIONS.includes(key)) validationErrors.push(`${where}: unknown config option '${key}'.`);
+      else if (key === "overshootClamping" || key === "native") {
+        if (typeof value !== "boolean") validationErrors.push(`${where}: '${key}' must be a boolean.`);
+      } else if (typeof value !== "number" || Number.isNaN(value)) {
+        validationErrors.push(`${where}: '${key}' must be a number.`);
+      }
+    });
+    const usedGroups = SPRING_GROUPS.filter(group => group.some(key => key in step.config));
+    if (usedGroups.length > 1) {
+      validationErrors.push(`${where}: only one of ${usedGroups.map(g => g.join("/")).join(", ")} can be used.`);
+    }
+  }
+
+  if (step.type === "decay") {
+    if (typeof step.velocity !== "number" && typeof step.velocity !== "string" && typeof step.velocity !== "function") {
+      validationErrors.push(`${where}: velocity must be a number or a callback.`);
+    }
+    if (!step.config || typeof step.config !== "object" || Array.isArray(step.config)) {
+      validationErrors.push(`${where}: config must be an object.`);
+      return;
+    }
+    Object.entries(step.config).forEach(([key, value]) => {
+      if (key === "deceleration") {
+        if (typeof value !== "number" || value <= 0 || value >= 1) validationErrors.push(`${where}: deceleration must be a number between 0 and 1.`);
+      } else if (key === "native") {
+        if (typeof value !== "boolean") validationErrors.push(`${where}: 'native' must be a boolean.`);
+      } else validationErrors.push(`${where}: unknown config option '${key}'.`);
+    });
+  }
+
+  if (step.type === "keyframes") {
+    if (!Array.isArray(step.frames) || step.frames.length === 0) {
+      validationErrors.push(`${where}: frames must be a non-empty array.`);
+      return;
+    }
+    step.frames.forEach((frame, i) => {
+      if (!frame || typeof frame !== "object") {
+        validationErrors.push(`${where}: frame ${i} must be an object.`);
+        return;
+      }
+      if (typeof frame.value !== "number" && !isRelative(frame.value)) {
+        validationErrors.push(`${where}: frame ${i} value must be a number or inc()/dec().`);
+      }
+      if (typeof frame.duration !== "number" || frame.duration < 0) {
+        validationErrors.push(`${where}: frame ${i} duration must be a positive number.`);
+      }
+      if (frame.easing !== undefined && typeof frame.easing !== "function") {
+        validationErrors.push(`${where}: frame ${i} easing must be a function.`);
+      }
+    });
+  }
+}
+
+/** Kind of an initial value: `"number"`, `"color"` or `"xy"` (`Animated.ValueXY`). */
+const kindOf = (value) => (typeof value === "number" ? "number" : isColor(value) ? "color" : isValueXY(value) ? "xy" : undefined);
+
+const isDynamic = (value) => typeof value === "function" || (typeof value === "string" && !isColor(value));
+
+/**
+ * Check that a step targeting a color or `{x, y}` value moves it to a value
+ * of the same kind, and that numbers don't get colors or pairs.
  */
-export const compileScenario = (scenario, { blocks = {}, callbacks = {}, initialValues = {} } = {}, throughErrors = true) => {
+function checkTargetKind(step, kind, validationErrors, names) {
+  const where = `${step.type} '${step.target}'`;
+  if (kind !== "number" && (step.type === "decay" || step.type === "keyframes")) {
+    validationErrors.push(`${where}: ${step.type} only animates numeric values, not a ${kind === "xy" ? "{x, y} value" : kind}.`);
+    return;
+  }
+  const value = step.type === "set" ? step.value : step.to;
+  if (value === undefined || isDynamic(value) || names.has(value) || (isRelative(value) && kind === "number")) return;
+  const valueKind = kindOf(value);
+  if (valueKind !== kind) {
+    const expected = { number: "a number", color: "a color string", xy: "an {x, y} object" }[kind];
+    validationErrors.push(`${where}: value must be ${expected}, got ${JSON.stringify(value)}.`);
+  }
+}
+
+/**
+ * Validate the `derived` outputs: interpolations of a numeric initial value
+ * with `inputRange`, `outputRange` (numbers or colors) and extrapolation.
+ */
+function validateDerived(derived, initialValues, validationErrors) {
+  const EXTRAPOLATIONS = ["extend", "clamp", "identity"];
+  Object.entries(derived).forEach(([name, spec]) => {
+    const where = `derived '${name}'`;
+    if (name in initialValues) validationErrors.push(`${where}: name already used by an initial value.`);
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+      validationErrors.push(`${where}: must be an object.`);
+      return;
+    }
+    if (!(spec.from in initialValues)) validationErrors.push(`${where}: source '${spec.from}' not found in initialValues.`);
+    else if (typeof initialValues[spec.from] !== "number") validationErrors.push(`${where}: source '${spec.from}' must be a numeric value.`);
+
+    const { inputRange, outputRange } = spec;
+    if (!Array.isArray(inputRange) || inputRange.length < 2 || inputRange.some(v => typeof v !== "number")) {
+      validationErrors.push(`${where}: inputRange must be an array of at least 2 numbers.`);
+    } else if (inputRange.some((v, i) => i > 0 && v < inputRange[i - 1])) {
+      validationErrors.push(`${where}: inputRange must be non-decreasing.`);
+    }
+    if (!Array.isArray(outputRange) || !(outputRange.every(v => typeof v === "number") || outputRange.every(isColor))) {
+      validationErrors.push(`${where}: outputRange must be an array of numbers or of color strings.`);
+    } else if (Array.isArray(inputRange) && outputRange.length !== inputRange.length) {
+      validationErrors.push(`${where}: inputRange and outputRange must have the same length.`);
+    }
+    ["extrapolate", "extrapolateLeft", "extrapolateRight"].forEach(key => {
+      if (spec[key] !== undefined && !EXTRAPOLATIONS.includes(spec[key])) {
+        validationErrors.push(`${where}: ${key} must be one of ${EXTRAPOLATIONS.join(", ")}.`);
+      }
+    });
+  });
+}
+
+const PARAM_TYPES = {
+  string: value => typeof value === "string",
+  number: value => typeof value === "number",
+  boolean: value => typeof value === "boolean",
+  value: value => ["number", "string", "function"].includes(typeof value) || isRelative(value),
+  callback: value => typeof value === "string" || typeof value === "function",
+  any: () => true,
+};
+
+const isParam = (value) => !!value && typeof value === "object" && value.type === "param" && typeof value.name === "string";
+
+/** Normalize a block definition: a plain step array or a `defineBlock()` result. */
+const normalizeBlock = (block) => (Array.isArray(block) ? { params: null, steps: block } : block);
+
+/**
+ * Replace `param()` placeholders found anywhere in `value` by their argument.
+ * Unknown parameters are reported through `onUnknown`. Objects without
+ * placeholders are returned unchanged.
+ */
+const substituteParams = (value, args, onUnknown) => {
+  if (isParam(value)) {
+    if (!args || !(value.name in args)) {
+      onUnknown(value.name);
+      return value;
+    }
+    return args[value.name];
+  }
+  if (Array.isArray(value)) {
+    const result = value.map(v => substituteParams(v, args, onUnknown));
+    return result.some((v, i) => v !== value[i]) ? Object.freeze(result) : value;
+  }
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.entries(value).map(([k, v]) => [k, substituteParams(v, args, onUnknown)]);
+    return entries.some(([k, v]) => v !== value[k]) ? Object.freeze(Object.fromEntries(entries)) : value;
+  }
+  return value;
+};
+
+/**
+ * Check the arguments of a `use(block, args)` step against the block
+ * parameters and return the arguments with defaults applied.
+ */
+const resolveArgs = (step, params, validationErrors) => {
+  const args = step.args ?? {};
+  const where = `use('${step.block}')`;
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    validationErrors.push(`${where}: arguments must be an object.`);
+    return {};
+  }
+  const declared = params ?? {};
+  const resolved = {};
+
+  Object.keys(args).forEach(name => {
+    if (!(name in declared)) validationErrors.push(`${where}: unknown argument '${name}'.`);
+  });
+
+  Object.entries(declared).forEach(([name, spec]) => {
+    const { type = "any", default: defaultValue } = typeof spec === "string" ? { type: spec } : spec ?? {};
+    if (!PARAM_TYPES[type]) {
+      validationErrors.push(`Block '${step.block}': parameter '${name}' has unknown type '${type}'.`);
+      return;
+    }
+    const value = name in args ? args[name] : defaultValue;
+    if (value === undefined) {
+      validationErrors.push(`${where}: missing argument '${name}'.`);
+      return;
+    }
+    if (!PARAM_TYPES[type](value)) {
+      validationErrors.push(`${where}: argument '${name}' must be of type '${type}', got ${JSON.stringify(value)}.`);
+    }
+    resolved[name] = value;
+  });
+
+  return resolved;
+};
+
+const LABEL_FIELDS = ["label", "labelTrue", "labelFalse"];
+const LABEL_REFERENCE_TYPES = ["goto", "call", "ifJump"];
+
+/**
+ * Compile one program: the main scenario, or a block started with `fork()`.
+ * Forked blocks are compiled once into `context.tracks`, keyed by block name.
+ */
+const compileProgram = (scenario, { blocks = {}, callbacks = {}, initialValues = {}, vars = {}, derived = {} }, context) => {
   const steps = [];
   const labels = {};
-  const labelSet = new Set();
+  const scopedLabels = {};
   const validationErrors = [];
 
-  function flatten(input, sourceBlock = null) {
-    for (const step of input) {
+  const expansionCounts = {};
+
+  /**
+   * Resolve a label reference made inside a block expansion: the innermost
+   * expansion declaring the label wins, qualified and top-level names are
+   * kept as is.
+   */
+  const resolveLabel = (name, expansion) => {
+    if (typeof name !== "string" || name.includes(".")) return name;
+    for (let scope = expansion; scope; scope = scope.parent) {
+      if (scope.labels.has(name)) return `${scope.scope}.${name}`;
+    }
+    return name;
+  };
+
+  /**
+   * Expand a step whose target is a pattern like `item*.opacity` over the
+   * matching keys of `initialValues`. With `spread` (targets of `parallel()`
+   * and `stagger()`) each match becomes a step; otherwise the animations of
+   * the matches run together in a `parallel()`.
+   */
+  const expandPattern = (step, spread) => {
+    if (!step || typeof step !== "object" || !isPattern(step.target)) return [step];
+    const keys = matchPattern(step.target, Object.keys(initialValues));
+    if (!keys.length) {
+      validationErrors.push(`Pattern '${step.target}' matches no initial value`);
+      return [];
+    }
+    const expanded = keys.map(key => ({ ...step, target: key }));
+    if (spread || !ANIMATION_TYPES.includes(step.type)) return expanded;
+    return [{ type: "parallel", targets: expanded, ...(step.label ? { label: step.label } : {}) }];
+  };
+
+  /** Expand the pattern targets nested in a `parallel()`, `stagger()` or `sequence()`. */
+  const expandNested = (step) => {
+    const field = CHILDREN_FIELDS[step?.type];
+    if (!field || !Array.isArray(step[field])) return step;
+    const children = step[field].flatMap(child => expandPattern(expandNested(child), field === "targets"));
+    return children.length === step[field].length && children.every((child, i) => child === step[field][i])
+      ? step
+      : { ...step, [field]: children };
+  };
+
+  /** Validate the targets of a `parallel()` or `stagger()`, and the sequences among them. */
+  const validateTargets = (step) => {
+    const where = step.type;
+    if (!Array.isArray(step.targets)) {
+      validationErrors.push(`${where} step must include a 'targets' array.`);
+      return;
+    }
+    if (step.targets.length === 0) validationErrors.push(`${where} step must include at least one target.`);
+    if (where === "stagger" && !(typeof step.interval === "number" && step.interval >= 0)
+      && typeof step.interval !== "string" && typeof step.interval !== "function") {
+      validationErrors.push(`stagger interval must be a positive number, an expression or a callback.`);
+    }
+    for (const t of step.targets) {
+      if (!t || !TARGET_TYPES.includes(t.type)) {
+        validationErrors.push(`${where}: each target must be a valid 'move', 'spring', 'decay' or 'keyframes' step, or a sequence().`);
+        break;
+      }
+      if (t.type === "sequence") {
+        validateSequence(t, where);
+        continue;
+      }
+      if (!t.target || typeof t.target !== "string") {
+        validationErrors.push(`${where}: each ${t.type} step must include a valid 'target'.`);
+      }
+      validateAnimationStep(t, validationErrors);
+    }
+  };
+
+  /** Validate a `sequence()` run as a target of `parallel()` or `stagger()`. */
+  const validateSequence = (step, where) => {
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      validationErrors.push(`sequence must include a non-empty 'steps' array.`);
+      return;
+    }
+    step.steps.forEach(child => {
+      if (!child || !NESTED_TYPES.includes(child.type)) {
+        validationErrors.push(`sequence in ${where}: '${child?.type}' steps are not allowed, only animations, delays, sets, variables and callbacks.`);
+      } else if (child.type === "sequence") validateSequence(child, where);
+      else if (child.type === "parallel" || child.type === "stagger") validateTargets(child);
+      else validateAnimationStep(child, validationErrors);
+    });
+  };
+
+  /**
+   * Flatten `input` into `steps`. Inside a block, `expansion` holds the
+   * block arguments and its label scope: labels declared by the block are
+   * registered as `block#n.label` (and `block.label` for the first expansion)
+   * and references to them are qualified. Steps following a `timeScale()`
+   * carry the resulting factor as `__timeScale`.
+   */
+  function flatten(input, sourceBlock = null, expansion = null) {
+    // timeScale() factor for the following steps, relative to the enclosing use()
+    let timeScale = expansion?.timeScale ?? 1;
+
+    const queue = [...input];
+    while (queue.length) {
+      let step = queue.shift();
       if (!step || typeof step !== "object") {
         validationErrors.push(`Invalid step in scenario : ${JSON.stringify(step)}`);
         continue;
       }
 
+      step = substituteParams(step, expansion?.args, name => validationErrors.push(sourceBlock
+        ? `Block '${sourceBlock}' uses undeclared parameter '${name}'`
+        : `Parameter '${name}' used outside of a parameterized block`));
+
+      // A top-level sequence is inlined: its steps may be of any type
+      if (step.type === "sequence") {
+        if (!Array.isArray(step.steps) || step.steps.length === 0) validationErrors.push(`sequence must include a non-empty 'steps' array.`);
+        else queue.unshift(...step.steps);
+        continue;
+      }
+
+      if (isPattern(step.target)) {
+        queue.unshift(...expandPattern(step, false));
+        continue;
+      }
+      step = expandNested(step);
+
+      if (expansion && LABEL_REFERENCE_TYPES.includes(step.type)) {
+        const resolved = LABEL_FIELDS.filter(field => step[field] !== undefined && resolveLabel(step[field], expansion) !== step[field]);
+        if (resolved.length) {
+          step = { ...step, ...Object.fromEntries(resolved.map(field => [field, resolveLabel(step[field], expansion)])) };
+        }
+      }
+
       if (step.type === "use") {
-        const block = blocks?.[step.block];
-        if (!block) {
+        const definition = blocks?.[step.block];
+        if (!definition) {
           validationErrors.push(`Block '${step.block}' not found`);
           continue;
         }
-        flatten(block, step.block); // recurse
+        const chain = [];
+        for (let scope = expansion; scope; scope = scope.parent) chain.unshift(scope.block);
+        if (chain.includes(step.block)) {
+          validationErrors.push(`Recursive block reference: ${[...chain.slice(chain.indexOf(step.block)), step.block].join(" > ")}`);
+          continue;
+        }
+        const { params, steps: blockSteps } = normalizeBlock(definition);
+        let args = null;
+        if (params) args = resolveArgs(step, params, validationErrors);
+        else if (step.args !== undefined) validationErrors.push(`use('${step.block}'): block has no parameters.`);
+
+        expansionCounts[step.block] = (expansionCounts[step.block] ?? 0) + 1;
+        const localLabels = new Set(blockSteps
+          .map(s => s?.type === "label" ? substituteParams(s.label, args, () => {}) : undefined)
+          .filter(l => typeof l === "string"));
+        flatten(blockSteps, step.block, {
+          args,
+          labels: localLabels,
+          scope: `${step.block}#${expansionCounts[step.block]}`,
+          block: step.block,
+          parent: expansion,
+          timeScale,
+        }); // recurse
         continue;
       }
 
@@ -39,16 +420,54 @@ export const compileScenario = (scenario, { blocks = {}, callbacks = {}, initial
           validationErrors.push(`Label must have a string name: ${JSON.stringify(step)}`);
           continue;
         }
-        if (labelSet.has(step.label)) {
-          validationErrors.push(`Duplicate label '${step.label}'`);
+        if (step.label.includes(".")) {
+          validationErrors.push(`Label '${step.label}' must not contain '.'`);
           continue;
         }
-        labelSet.add(step.label);
-        if (sourceBlock === null) {
+        if (expansion) {
+          const qualified = `${expansion.scope}.${step.label}`;
+          if (qualified in scopedLabels) {
+            validationErrors.push(`Duplicate label '${step.label}' in block '${sourceBlock}'`);
+            continue;
+          }
+          scopedLabels[qualified] = steps.length;
+          const alias = `${sourceBlock}.${step.label}`;
+          if (!(alias in scopedLabels)) scopedLabels[alias] = steps.length;
+        } else {
+          if (step.label in labels) {
+            validationErrors.push(`Duplicate label '${step.label}'`);
+            continue;
+          }
           labels[step.label] = steps.length;
         }
       }
 
+      if (step.type === "fork") {
+        if (typeof step.id !== "string" || !step.id) validationErrors.push(`fork('${step.block}'): id must be a non-empty string.`);
+        else context.forkIds.add(step.id);
+        if (!blocks?.[step.block]) validationErrors.push(`Block '${step.block}' not found`);
+        else if (!(step.block in context.tracks)) {
+          context.tracks[step.block] = null; // a block forking itself is compiled once
+          const program = compileProgram([{ type: "use", block: step.block }], { blocks, callbacks, initialValues, vars, derived }, context);
+          program.validationErrors.forEach(error => validationErrors.push(`fork('${step.block}'): ${error}`));
+          program.warnings.forEach(warning => context.warnings.push(`fork('${step.block}'): ${warning}`));
+          context.tracks[step.block] = { steps: program.steps, labels: program.labels, scopedLabels: program.scopedLabels };
+        }
+      }
+
+      if (step.type === "join" || step.type === "cancel") {
+        if (typeof step.id !== "string" || !step.id) validationErrors.push(`${step.type}: id must be a non-empty string.`);
+        else context.trackRefs.push(step);
+      }
+
+      if (step.type === "timeScale") {
+        if (typeof step.factor !== "number" || !(step.factor > 0) || step.factor === Infinity) {
+          validationErrors.push(`timeScale factor must be a positive number, got ${JSON.stringify(step.factor)}.`);
+        } else {
+          timeScale = (expansion?.timeScale ?? 1) * step.factor;
+        }
+      }
+
       if (step.type === "ifJump") {
         if (typeof step.condition !== "function" && typeof step.condition !== "string" ) {
           validationErrors.push(`ifJump must include a valid condition function.`);
@@ -61,66 +480,110 @@ export const compileScenario = (scenario, { blocks = {}, callbacks = {}, initial
         }
       }
 
-      if (step.type === "parallel") {
-        if (!Array.isArray(step.targets)) {
-          validationErrors.push(`parallel step must include a 'targets' array.`);
-        } else {
-          for (const t of step.targets) {
-            if (!t || t.type !== "move") {
-              validationErrors.push(`parallel: each target must be a valid 'move' step.`);
-              break;
-            }
-            if (!t.target || typeof t.target !== "string") {
-              validationErrors.push(`parallel: each move step must include a valid 'target'.`);
-            }
-          }
+      if (step.type === "repeat") {
+        const count = step.count;
+        if (typeof count !== "string" && typeof count !== "function" && !(Number.isInteger(count) && count >= 0)) {
+          validationErrors.push(`repeat count must be a non-negative integer or a callback.`);
+        }
+      }
+
+      if (step.type === "whileDo") {
+        if (typeof step.condition !== "function" && typeof step.condition !== "string") {
+          validationErrors.push(`whileDo must include a valid condition function.`);
         }
       }
 
+      if (step.type === "parallel" || step.type === "stagger") validateTargets(step);
+
+      validateAnimationStep(step, validationErrors);
+
 
-      const annotated = sourceBlock ? { ...step, __sourceBlock: sourceBlock } : step;
+      let annotated = sourceBlock ? { ...step, __sourceBlock: sourceBlock, __scope: expansion.scope } : step;
+      if (timeScale !== 1 && step.type !== "timeScale") annotated = { ...annotated, __timeScale: timeScale };
       steps.push(annotated);
     }
   }
 
   flatten(scenario);
 
+  // Block labels are qualified, so they may reuse names of the main scenario
+  const allLabels = { ...scopedLabels, ...labels };
+
   // Validate refs and callbacks
   const seenRefs = new Set(Object.keys(initialValues));
   const seenCallbacks = new Set(Object.keys(callbacks));
+  const seenVars = new Set(Object.keys(vars));
+  // Variables and callbacks win over color names, e.g. a variable `red`
+  const names = new Set([...seenCallbacks, ...seenVars]);
 
-  for (const step of steps) {
-    const targets = step.target
-      ? [step.target]
-      : Array.isArray(step.targets)
-        ? step.targets.map(t => t.target)
-        : [];
+  const allSteps = steps.flatMap(withNestedSteps).filter(step => step && typeof step === "object");
 
-    targets.forEach(t => {
-      if (!seenRefs.has(t)) {
-        validationErrors.push(`Missing initial value for target: ${t}`);
-      }
-    });
+  for (const step of allSteps) {
+    if (step.target && derived[step.target]) {
+      validationErrors.push(`Target '${step.target}' is derived from '${derived[step.target].from}' and cannot be animated`);
+    } else if (step.target && !seenRefs.has(step.target)) {
+      validationErrors.push(`Missing initial value for target: ${step.target}`);
+    } else if (step.target) checkTargetKind(step, kindOf(initialValues[step.target]), validationErrors, names);
 
     if (step.type === "callback" && !seenCallbacks.has(step.name)) {
       validationErrors.push(`Missing callback function: ${step.name}`);
     }
+
+    if (step.type === "vibrate") {
+      if (step.style !== undefined && !isHapticFeedback(step.style)) {
+        validationErrors.push(`vibrate: unknown style ${JSON.stringify(step.style)}, expected ${HAPTIC_STYLES.join("|")} or a pattern of durations`);
+      }
+      if (step.policy !== undefined && step.policy !== "once" && step.policy !== "always") {
+        validationErrors.push(`vibrate: policy must be "once" or "always", got ${JSON.stringify(step.policy)}`);
+      }
+    }
+  }
+
+  // Validate variables and expressions (strings that are not callback names)
+
+  const checkExpression = (value, where) => {
+    if (typeof value !== "string" || seenCallbacks.has(value)) return;
+    try {
+      compileExpression(value).names.forEach(name => {
+        if (!seenVars.has(name)) validationErrors.push(`Undeclared variable '${name}' in ${where}: "${value}"`);
+      });
+    } catch (e) {
+      validationErrors.push(`${where}: ${e.message}`);
+    }
+  };
+
+  for (const step of allSteps) {
+    if ((step.type === "move" || step.type === "spring") && (!isColor(step.to) || names.has(step.to))) checkExpression(step.to, `${step.type} target value`);
+    if (step.type === "delay") checkExpression(step.duration, "delay duration");
+    if (step.type === "stagger") checkExpression(step.interval, "stagger interval");
+    if (step.type === "repeat") checkExpression(step.count, "repeat count");
+    if (step.type === "ifJump" || step.type === "ifThen" || step.type === "whileDo") {
+      checkExpression(step.condition, `${step.type} condition`);
+    }
+
+    if (step.type === "setVar" || step.type === "incVar") {
+      if (typeof step.name !== "string" || !seenVars.has(step.name)) {
+        validationErrors.push(`Undeclared variable '${step.name}' in ${step.type}`);
+      }
+      checkExpression(step.type === "setVar" ? step.value : step.delta, `${step.type} value`);
+    }
   }
 
   // validate existing label used by goto and ifJump
-  const seenLabels = new Set(Object.keys(labels));
-  steps.filter(step => step.type === "goto" || step.type === "ifJump").forEach(step => {
-    if(step.type === "goto" && !seenLabels.has(step.label)) validationErrors.push(`Missing label : ${step.label}`);
+  const seenLabels = new Set(Object.keys(allLabels));
+  steps.filter(step => step.type === "goto" || step.type === "call" || step.type === "ifJump").forEach(step => {
+    if((step.type === "goto" || step.type === "call") && !seenLabels.has(step.label)) validationErrors.push(`Missing label : ${step.label}`);
     if(step.type === "ifJump" && !seenLabels.has(step.labelTrue)) validationErrors.push(`Missing label : ${step.labelTrue}`);
     if(step.type === "ifJump" && step.labelFalse && !seenLabels.has(step.labelFalse)) validationErrors.push(`Missing label : ${step.labelFalse}`);
   });
 
-  // validation for ifThen / else / endIf
+  // validation for ifThen / else / endIf, repeat / endRepeat and whileDo / endWhile
+  const BLOCK_ENDS = { ifEnd: "ifThen", endRepeat: "repeat", endWhile: "whileDo" };
   const stack = [];
 
   steps.forEach((step, i) => {
-    if (step.type === "ifThen") {
-      stack.push({ type: "ifThen", index: i });
+    if (step.type === "ifThen" || step.type === "repeat" || step.type === "whileDo") {
+      stack.push({ type: step.type, index: i });
     } else if (step.type === "ifElse") {
       if (stack.length === 0 || stack[stack.length - 1].type !== "ifThen") {
         validationErrors.push(`"ifElse" at step ${i} has no matching "ifThen"`);
@@ -129,23 +592,78 @@ export const compileScenario = (scenario, { blocks = {}, callbacks = {}, initial
       } else {
         stack[stack.length - 1].hasElse = true;
       }
-    } else if (step.type === "ifEnd") {
-      if (stack.length === 0 || stack[stack.length - 1].type !== "ifThen") {
-        validationErrors.push(`"ifEnd" at step ${i} has no matching "ifThen"`);
+    } else if (BLOCK_ENDS[step.type]) {
+      const startType = BLOCK_ENDS[step.type];
+      if (stack.length === 0 || stack[stack.length - 1].type !== startType) {
+        validationErrors.push(`"${step.type}" at step ${i} has no matching "${startType}"`);
       } else {
         stack.pop();
       }
     }
   });
   if (stack.length > 0) {
-    stack.forEach(entry => validationErrors.push(`Unclosed "ifThen" at step ${entry.index}`));
+    stack.forEach(entry => validationErrors.push(`Unclosed "${entry.type}" at step ${entry.index}`));
+  }
+
+  // Warn about ret() reachable outside of a call(): walk the flow from the
+  // first step, remembering whether we are inside a subroutine.
+  const warnings = [];
+  const loopPairs = matchLoops(steps);
+  const visited = new Set();
+  const pending = steps.length ? [[0, false]] : [];
+  while (pending.length) {
+    const [index, inCall] = pending.pop();
+    const key = `${index}:${inCall}`;
+    if (index >= steps.length || visited.has(key)) continue;
+    visited.add(key);
+    if (steps[index].type === "ret" && !inCall) {
+      warnings.push(`"ret" at step ${index} may be reached without a "call"`);
+    }
+    getSuccessors(steps, allLabels, index, loopPairs).forEach(edge => pending.push([edge.to, edge.type === "call" ? true : inCall]));
   }
 
+  return { steps, labels, scopedLabels, validationErrors, warnings };
+};
+
+/**
+ * Flattens a scenario definition into executable steps while validating labels
+ * and referenced blocks.
+ *
+ * @param {Array<Object>} scenario - Array of step objects or block references.
+ * @param {Object} [options]
+ * @param {Object<string,Array|Object>} [options.blocks] - Named blocks referenced via `use` steps, either
+ * step arrays or parameterized blocks created with `defineBlock`.
+ * @param {Object<string,Function>} [options.callbacks] - Callback functions referenced in the scenario.
+ * @param {Object<string,number|string|Object>} [options.initialValues] - Animated values available to steps:
+ * numbers, color strings or `{x, y}` pairs.
+ * @param {Object<string,*>} [options.vars] - Scenario variables available to steps and expressions.
+ * @param {Object<string,Object>} [options.derived] - Interpolations of initial values, `{from, inputRange, outputRange, extrapolate}`.
+ * @param {boolean} [throughErrors=true] - Throw an error if validation fails.
+ * @returns {{steps: Array, labels: Object, scopedLabels: Object, tracks: Object, validationErrors: Array<string>, warnings: Array<string>}}
+ * `labels` holds the labels of the main scenario, `scopedLabels` the qualified
+ * labels of block expansions (`block#n.label` and `block.label`), `tracks` the
+ * programs (`{steps, labels, scopedLabels}`) of the blocks started with `fork()`.
+ */
+export const compileScenario = (scenario, options = {}, throughErrors = true) => {
+  const context = { tracks: {}, forkIds: new Set(), trackRefs: [], warnings: [] };
+  const { steps, labels, scopedLabels, validationErrors, warnings } = compileProgram(scenario, options, context);
+  const { initialValues = {}, derived = {} } = options;
+
+  Object.entries(initialValues).forEach(([name, value]) => {
+    if (!kindOf(value)) validationErrors.push(`Initial value '${name}' must be a number, a color string or {x, y}, got ${JSON.stringify(value)}`);
+  });
+  validateDerived(derived, initialValues, validationErrors);
+
+  // join() and cancel() must refer to a track started somewhere
+  context.trackRefs.forEach(step => {
+    if (!context.forkIds.has(step.id)) validationErrors.push(`${step.type}('${step.id}'): no fork() starts track '${step.id}'`);
+  });
+
   // Error management
   if(throughErrors && validationErrors.length) {
     const messages = [...new Set(validationErrors)].map(e => `• ${e}`).join("\n");
     throw new Error(`Scenario validation failed:\n${messages}`);
   }
 
-  return { steps, labels, validationErrors };
+  return { steps, labels, scopedLabels, tracks: context.tracks, validationErrors, warnings: [...warnings, ...context.warnings] };
 };
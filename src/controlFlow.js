@@ -0,0 +1,105 @@
+/**
+ * Jump from `startIndex` to the matching end of a control block.
+ * Used by conditional helpers like `ifThen`.
+ */
+export const jumpTo = (steps, startIndex, startType, endTypes) => {
+  let depth = 0;
+  for (let i = startIndex + 1; i < steps.length; i++) {
+    const s = steps[i];
+    if (s.type === startType) depth++;
+    else if (s.type === endTypes.slice(-1)[0] && depth > 0) depth--;
+    else if (endTypes.includes(s.type) && depth === 0) {
+      return i + 1;
+    }
+  }
+  return steps.length; // fallback: jump to end if not found
+};
+
+/** Whether a callback is an `async` function, which the runner awaits. */
+export const isAsync = (fn) => typeof fn === "function" && fn.constructor?.name === "AsyncFunction";
+
+/**
+ * Match `repeat`/`whileDo` steps with their `endRepeat`/`endWhile` step.
+ * Returns the index of the other end of each loop, keyed by index.
+ */
+export const matchLoops = (steps) => {
+  const pairs = {};
+  const stack = [];
+  steps.forEach((step, i) => {
+    if (step.type === "repeat" || step.type === "whileDo") stack.push(i);
+    else if (step.type === "endRepeat" || step.type === "endWhile") {
+      const start = stack.pop();
+      if (start !== undefined) {
+        pairs[start] = i;
+        pairs[i] = start;
+      }
+    }
+  });
+  return pairs;
+};
+
+/**
+ * List the steps that can run after step `index`. Each edge is
+ * `{to, type}` where `type` is:
+ * - `"flow"`: next step or a jump (`goto`, branches, loops),
+ * - `"call"`: entry of a `call()` subroutine,
+ * - `"return"`: where execution continues once the subroutine returns.
+ *
+ * `to === steps.length` means the end of the scenario. `stop`, `ret` and
+ * `resume` (whose target is only known at runtime) have no edges.
+ *
+ * @param {Array<Object>} steps - Compiled steps.
+ * @param {Object<string,number>} labels - Label indexes.
+ * @param {number} index
+ * @param {Object<number,number>} [loopPairs] - Result of `matchLoops(steps)`.
+ * @returns {Array<{to: number, type: string}>}
+ */
+export const getSuccessors = (steps, labels, index, loopPairs = matchLoops(steps)) => {
+  const step = steps[index];
+  const flow = (to) => (to === undefined ? [] : [{ to, type: "flow" }]);
+  const next = flow(index + 1);
+
+  switch (step.type) {
+    case "goto":
+      return flow(labels[step.label]);
+    case "ifJump":
+      return [...flow(labels[step.labelTrue]), ...(step.labelFalse ? flow(labels[step.labelFalse]) : next)];
+    case "ifThen":
+      return [...next, ...flow(jumpTo(steps, index, "ifThen", ["ifElse", "ifEnd"]))];
+    case "ifElse":
+      return flow(jumpTo(steps, index, "ifThen", ["ifEnd"]));
+    case "repeat":
+    case "whileDo":
+      return loopPairs[index] === undefined ? next : [...next, ...flow(loopPairs[index] + 1)];
+    case "endRepeat":
+      return loopPairs[index] === undefined ? next : [...flow(loopPairs[index] + 1), ...next];
+    case "endWhile":
+      return loopPairs[index] === undefined ? next : flow(loopPairs[index]);
+    case "call":
+      return labels[step.label] === undefined ? [] : [{ to: labels[step.label], type: "call" }, { to: index + 1, type: "return" }];
+    case "stop":
+    case "ret":
+    case "resume":
+      return [];
+    default:
+      return next;
+  }
+};
+
+/**
+ * Build the control-flow graph of compiled steps: the `getSuccessors` edges of
+ * each step, where `resume()` may return after any `goto()`. As with
+ * `getSuccessors`, `to === steps.length` means the end of the scenario.
+ *
+ * @param {Array<Object>} steps - Compiled steps.
+ * @param {Object<string,number>} labels - Label indexes, including qualified block labels.
+ * @returns {Array<Array<{to: number, type: string}>>}
+ */
+export const getFlowGraph = (steps, labels) => {
+  const loopPairs = matchLoops(steps);
+  const gotoReturns = steps.flatMap((step, i) => (step.type === "goto" ? [i + 1] : []));
+  return steps.map((step, i) => (step.type === "resume"
+    ? gotoReturns.map(to => ({ to, type: "flow" }))
+    : getSuccessors(steps, labels, i, loopPairs)
+  ));
+};
@@ -0,0 +1,65 @@
+import { Animated } from "react-native";
+import { isColor, isValueXY, parseColor } from "../color.js";
+
+/**
+ * Create the `Animated` value of an initial value: `Animated.Color` for a
+ * color string, `Animated.ValueXY` for `{x, y}`, `Animated.Value` otherwise.
+ */
+export const createAnimatedValue = (value) => {
+  if (isColor(value)) {
+    if (!Animated.Color) throw new Error(`[createAnimatedDriver] Color values need Animated.Color (React Native 0.71+), got ${JSON.stringify(value)}`);
+    return new Animated.Color(value);
+  }
+  if (isValueXY(value)) return new Animated.ValueXY(value);
+  return new Animated.Value(value);
+};
+
+/**
+ * Target value as `Animated.timing`/`Animated.spring` take it: an `Animated.Color`
+ * only animates toward `{r, g, b, a}` channels, not toward a color string.
+ */
+const toAnimatedTarget = (value) => {
+  const channels = parseColor(value);
+  return channels ? { r: channels[0], g: channels[1], b: channels[2], a: channels[3] } : value;
+};
+
+/**
+ * Scenario runner driver backed by React Native `Animated` values, the
+ * default driver of `useAnimationScenario`.
+ *
+ * @param {Object<string,Animated.Value|Animated.Color|Animated.ValueXY>} [refs] - Animated values keyed by
+ * target name, completed by `createValue()`.
+ */
+export const createAnimatedDriver = (refs = {}) => {
+  const getRef = (target) => {
+    const ref = refs[target];
+    if (!ref) throw new Error(`Unknown ref: ${target}`);
+    return ref;
+  };
+
+  return {
+    createValue: (target, value) => {
+      refs[target] = createAnimatedValue(value);
+      return refs[target];
+    },
+
+    read: (target) => getRef(target).__getValue(),
+
+    set: (target, value) => getRef(target).setValue(value),
+
+    stop: (target) => getRef(target).stopAnimation(),
+
+    animate: (target, { type, native, ...options }, done) => {
+      const ref = getRef(target);
+      // Colors run on the JS thread unless `native: true` is given
+      const useNativeDriver = native ?? !(Animated.Color && ref instanceof Animated.Color);
+      const config = "toValue" in options ? { ...options, toValue: toAnimatedTarget(options.toValue) } : options;
+      const animation = Animated[type](ref, { ...config, useNativeDriver });
+      animation.start(({ finished }) => done(finished));
+      return animation;
+    },
+
+    /** Interpolation of a target for the `derived` outputs of `useAnimationScenario`. */
+    interpolate: (target, config) => getRef(target).interpolate(config),
+  };
+};
@@ -0,0 +1,104 @@
+/*
+Fake clock and driver to run scenarios in plain Node, e.g. in tests:
+const clock = createFakeClock();
+const driver = createFakeDriver({ x: 0 }, clock);
+const runner = createScenarioRunner(compiled, { driver, clock });
+await clock.advance(500);
+ */
+
+import { mixValues } from "../color.js";
+
+/** Let pending promise continuations run. */
+export const flush = () => new Promise(res => setImmediate(res));
+
+/** Clock whose time only moves forward through `advance(ms)`. */
+export const createFakeClock = () => {
+  let now = 0;
+  let nextId = 1;
+  let timers = [];
+
+  const clock = {
+    now: () => now,
+    setTimeout: (fn, ms = 0) => {
+      const id = nextId++;
+      timers.push({ id, fn, at: now + Math.max(0, ms) });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers = timers.filter(t => t.id !== id);
+    },
+    /** Move time forward, firing due timers in order. */
+    advance: async (ms) => {
+      const end = now + ms;
+      await flush();
+      for (;;) {
+        const due = timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter(t => t !== due);
+        now = due.at;
+        due.fn();
+        await flush();
+      }
+      now = end;
+      await flush();
+    },
+  };
+  return clock;
+};
+
+/**
+ * Driver storing plain values (numbers, colors, `{x, y}`). Timing animations
+ * end after their duration on the given clock; springs and decays settle
+ * after 500ms. `values` holds the current values and `animations` every
+ * animation started.
+ */
+export const createFakeDriver = (initialValues = {}, clock = createFakeClock()) => {
+  const values = { ...initialValues };
+  const animations = [];
+  const running = {}; // stop() of the animation running on each target
+
+  const read = (target) => {
+    if (!(target in values)) throw new Error(`Unknown ref: ${target}`);
+    return values[target];
+  };
+
+  return {
+    values,
+    animations,
+    createValue: (target, value) => {
+      values[target] = value;
+      return value;
+    },
+    read,
+    set: (target, value) => {
+      read(target);
+      values[target] = value;
+    },
+    stop: (target) => running[target]?.(),
+    animate: (target, animation, done) => {
+      running[target]?.(); // like Animated, a new animation stops the running one
+      const from = read(target);
+      const toValue = animation.type === "decay"
+        ? from + animation.velocity / (1 - (animation.deceleration ?? 0.998))
+        : animation.toValue;
+      const duration = animation.type === "timing" ? animation.duration : 500;
+      const startedAt = clock.now();
+      animations.push({ target, ...animation });
+      // Stopping leaves the value where the animation was (linear unless an easing is given)
+      const stop = () => {
+        if (running[target] === stop) delete running[target];
+        clock.clearTimeout(id);
+        const progress = duration > 0 ? Math.min(1, (clock.now() - startedAt) / duration) : 1;
+        values[target] = mixValues(from, toValue, (animation.easing ?? (t => t))(progress));
+        done(false);
+      };
+      const id = clock.setTimeout(() => {
+        if (running[target] === stop) delete running[target];
+        values[target] = toValue;
+        done(true);
+      }, duration);
+      running[target] = stop;
+      return { stop };
+    },
+  };
+};
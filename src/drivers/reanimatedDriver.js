@@ -0,0 +1,93 @@
+import { makeMutable, withTiming, withSpring, withDecay, withDelay, cancelAnimation, runOnJS } from "react-native-reanimated";
+import { easing as namedEasing } from "../easing.js";
+import { toSpringConfig } from "./springConfig.js";
+
+/*
+Optional driver running scenarios on the UI thread with Reanimated shared
+values, imported from its own entry point so that Reanimated stays optional:
+
+import { createReanimatedDriver } from "react-native-animation-scenario/reanimated";
+
+const { refs } = useAnimationScenario({ scenario, initialValues, driver: createReanimatedDriver });
+const style = useAnimatedStyle(() => ({ opacity: refs.opacity.value }));
+ */
+
+/** Easing of `Animated.timing` when none is given, Reanimated's default differs. */
+const DEFAULT_EASING = namedEasing("inOut(ease)");
+
+/** Samples taken from a JS easing to run it as a worklet. */
+const EASING_SAMPLES = 64;
+
+/**
+ * Easing worklet following a JS easing function, linearly interpolated
+ * between samples since the registry easings cannot run on the UI thread.
+ */
+const toEasingWorklet = (fn) => {
+  const samples = Array.from({ length: EASING_SAMPLES + 1 }, (_, i) => fn(i / EASING_SAMPLES));
+  return (t) => {
+    "worklet";
+    const x = Math.min(Math.max(t, 0), 1) * EASING_SAMPLES;
+    const i = Math.min(EASING_SAMPLES - 1, Math.floor(x));
+    return samples[i] + (samples[i + 1] - samples[i]) * (x - i);
+  };
+};
+
+/**
+ * Scenario runner driver backed by Reanimated shared values: the animations
+ * run on the UI thread. Numbers, colors and `{x, y}` values are supported,
+ * `derived` outputs are not (use `interpolate()` in `useAnimatedStyle`).
+ *
+ * @param {Object<string,SharedValue>} [values] - Shared values keyed by target name, completed by `createValue()`.
+ */
+export const createReanimatedDriver = (values = {}) => {
+  const getValue = (target) => {
+    const value = values[target];
+    if (!value) throw new Error(`Unknown ref: ${target}`);
+    return value;
+  };
+
+  return {
+    createValue: (target, value) => {
+      values[target] = makeMutable(value);
+      return values[target];
+    },
+
+    read: (target) => getValue(target).value,
+
+    set: (target, value) => {
+      const shared = getValue(target);
+      cancelAnimation(shared);
+      shared.value = value;
+    },
+
+    stop: (target) => cancelAnimation(getValue(target)),
+
+    animate: (target, { type, native, ...options }, done) => {
+      const shared = getValue(target);
+      const callback = (finished) => {
+        "worklet";
+        runOnJS(done)(finished);
+      };
+      switch (type) {
+        case "timing":
+          shared.value = withTiming(options.toValue, {
+            duration: options.duration,
+            easing: toEasingWorklet(options.easing ?? DEFAULT_EASING),
+          }, callback);
+          break;
+        case "spring": {
+          const { toValue, delay = 0, ...config } = toSpringConfig(options);
+          shared.value = withDelay(delay, withSpring(toValue, config, callback));
+          break;
+        }
+        case "decay":
+          // Reanimated velocities are per second, Animated ones per millisecond
+          shared.value = withDecay({ velocity: options.velocity * 1000, deceleration: options.deceleration ?? 0.998 }, callback);
+          break;
+        default:
+          throw new Error(`Unknown animation type: ${type}`);
+      }
+      return { stop: () => cancelAnimation(shared) };
+    },
+  };
+};
@@ -0,0 +1,41 @@
+/*
+Spring options of `Animated.spring` converted to the physical
+stiffness/damping/mass model, for drivers that only know that one:
+
+toSpringConfig({ friction: 7, tension: 40 });        // { stiffness: 230.2, damping: 22, mass: 1 }
+toSpringConfig({ bounciness: 8, speed: 12 });
+toSpringConfig({ stiffness: 120, damping: 8 });      // unchanged
+ */
+
+const stiffnessFromOrigami = (tension) => (tension - 30) * 3.62 + 194;
+const dampingFromOrigami = (friction) => (friction - 8) * 3 + 25;
+
+/** Friction without bounce for an origami tension, as computed by React Native. */
+const noBounceFriction = (tension) => {
+  if (tension <= 18) return 0.0007 * tension ** 3 - 0.031 * tension ** 2 + 0.64 * tension + 1.28;
+  if (tension <= 44) return 0.000044 * tension ** 3 - 0.006 * tension ** 2 + 0.36 * tension + 2;
+  return 0.00000045 * tension ** 3 - 0.000332 * tension ** 2 + 0.1078 * tension + 5.84;
+};
+
+/** Origami tension and friction of a `bounciness`/`speed` spring. */
+const fromBouncinessAndSpeed = (bounciness, speed) => {
+  const bounce = (bounciness / 1.7 / 20) * 0.8;
+  const tension = 0.5 + (speed / 1.7 / 20) * (200 - 0.5);
+  const t = 2 * bounce - bounce * bounce;
+  return { tension, friction: t * 0.01 + (1 - t) * noBounceFriction(tension) };
+};
+
+/**
+ * Convert `Animated.spring` options (`friction`/`tension`, `bounciness`/`speed`
+ * or `stiffness`/`damping`/`mass`) to `{stiffness, damping, mass}`, with the
+ * same defaults. The other options (`velocity`, `overshootClamping`...) are kept.
+ */
+export const toSpringConfig = ({ friction, tension, bounciness, speed, stiffness, damping, mass, ...options }) => {
+  if (stiffness !== undefined || damping !== undefined || mass !== undefined) {
+    return { ...options, stiffness: stiffness ?? 100, damping: damping ?? 10, mass: mass ?? 1 };
+  }
+  const origami = bounciness !== undefined || speed !== undefined
+    ? fromBouncinessAndSpeed(bounciness ?? 8, speed ?? 12)
+    : { tension: tension ?? 40, friction: friction ?? 7 };
+  return { ...options, stiffness: stiffnessFromOrigami(origami.tension), damping: dampingFromOrigami(origami.friction), mass: 1 };
+};
@@ -0,0 +1,157 @@
+/*
+Named easing registry, same curves as React Native's `Easing`:
+
+easing("linear");
+easing("inOut(quad)");
+easing("out(back(2))");
+easing("bezier(0.25, 0.1, 0.25, 1)");
+
+Easings created by name remember it, so scenarios using them can be
+serialized (see `serializeScenario`).
+ */
+
+/** Solve a cubic bezier timing curve like CSS `cubic-bezier()`. */
+const bezier = (x1, y1, x2, y2) => {
+  const coord = (t, a, b) => 3 * a * t * (1 - t) ** 2 + 3 * b * t * t * (1 - t) + t ** 3;
+  const slope = (t, a, b) => 3 * a * (1 - t) ** 2 + 6 * (b - a) * t * (1 - t) + 3 * (1 - b) * t * t;
+
+  return (x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const d = slope(t, x1, x2);
+      if (Math.abs(d) < 1e-6) break;
+      t -= (coord(t, x1, x2) - x) / d;
+    }
+    if (t < 0 || t > 1 || Math.abs(coord(t, x1, x2) - x) > 1e-5) {
+      let lo = 0;
+      let hi = 1;
+      t = x;
+      for (let i = 0; i < 30; i++) {
+        if (coord(t, x1, x2) < x) lo = t;
+        else hi = t;
+        t = (lo + hi) / 2;
+      }
+    }
+    return coord(t, y1, y2);
+  };
+};
+
+const bounce = (t) => {
+  if (t < 1 / 2.75) return 7.5625 * t * t;
+  if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+  if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+  return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+};
+
+/** Easings usable by name, without arguments. */
+const CURVES = {
+  linear: (t) => t,
+  ease: bezier(0.42, 0, 1, 1),
+  quad: (t) => t * t,
+  cubic: (t) => t * t * t,
+  sin: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  circle: (t) => 1 - Math.sqrt(1 - t * t),
+  exp: (t) => Math.pow(2, 10 * (t - 1)),
+  bounce,
+  step0: (t) => (t > 0 ? 1 : 0),
+  step1: (t) => (t >= 1 ? 1 : 0),
+};
+
+/** Easing factories usable by name, with number or easing arguments. */
+const FACTORIES = {
+  poly: (n) => (t) => Math.pow(t, n),
+  elastic: (bounciness = 1) => {
+    const p = bounciness * Math.PI;
+    return (t) => 1 - Math.pow(Math.cos((t * Math.PI) / 2), 3) * Math.cos(t * p);
+  },
+  back: (s = 1.70158) => (t) => t * t * ((s + 1) * t - s),
+  bezier,
+  in: (easing) => easing,
+  out: (easing) => (t) => 1 - easing(1 - t),
+  inOut: (easing) => (t) => (t < 0.5 ? easing(t * 2) / 2 : 1 - easing((1 - t) * 2) / 2),
+};
+
+const names = new WeakMap();
+const cache = new Map();
+
+/** Parse an easing expression like `inOut(back(2))`. */
+const parseEasing = (source) => {
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(`Invalid easing "${source}": ${message}`);
+  };
+  const skip = () => {
+    while (source[pos] === " ") pos++;
+  };
+
+  const parseArgument = () => {
+    skip();
+    const number = /^-?(?:\d+\.?\d*|\.\d+)/.exec(source.slice(pos));
+    if (number) {
+      pos += number[0].length;
+      return Number(number[0]);
+    }
+    return parseExpression();
+  };
+
+  function parseExpression() {
+    skip();
+    const match = /^[A-Za-z]\w*/.exec(source.slice(pos));
+    if (!match) fail(`unexpected '${source[pos] ?? "end"}' at ${pos}`);
+    const name = match[0];
+    pos += name.length;
+    skip();
+
+    if (source[pos] !== "(") {
+      if (!CURVES.hasOwnProperty(name)) fail(`unknown easing '${name}'`);
+      return CURVES[name];
+    }
+
+    if (!FACTORIES.hasOwnProperty(name)) fail(`unknown easing function '${name}'`);
+    pos++;
+    const args = [];
+    skip();
+    while (source[pos] !== ")") {
+      args.push(parseArgument());
+      skip();
+      if (source[pos] === ",") pos++;
+      else if (source[pos] !== ")") fail(`expected ',' or ')' at ${pos}`);
+    }
+    pos++;
+
+    const expectsEasing = name === "in" || name === "out" || name === "inOut";
+    if (expectsEasing && (args.length !== 1 || typeof args[0] !== "function")) fail(`${name}() expects one easing`);
+    if (!expectsEasing && args.some(a => typeof a !== "number")) fail(`${name}() expects numbers`);
+    if (name === "bezier" && args.length !== 4) fail(`bezier() expects 4 numbers`);
+    return FACTORIES[name](...args);
+  }
+
+  const easing = parseExpression();
+  skip();
+  if (pos !== source.length) fail(`unexpected '${source[pos]}' at ${pos}`);
+  return easing;
+};
+
+/**
+ * Resolve an easing by name, e.g. `"inOut(quad)"`. The returned function is
+ * cached and remembers its name for serialization.
+ *
+ * @param {string} name
+ * @returns {Function}
+ */
+export const easing = (name) => {
+  if (typeof name !== "string") throw new Error("easing() requires a string name");
+  const key = name.replace(/\s+/g, "");
+  if (!cache.has(key)) {
+    const fn = parseEasing(key);
+    const named = (t) => fn(t);
+    names.set(named, key);
+    cache.set(key, named);
+  }
+  return cache.get(key);
+};
+
+/** Name of an easing created with `easing()`, or `undefined`. */
+export const getEasingName = (fn) => (typeof fn === "function" ? names.get(fn) : undefined);
@@ -0,0 +1,226 @@
+import { compileExpression } from "./expression.js";
+import { getFlowGraph, matchLoops, isAsync } from "./controlFlow.js";
+
+/*
+Durations are ranges in milliseconds: { min, max }. `max` is `Infinity` when
+the duration is unbounded (hold, whileDo, goto loop) or unknown before
+running (callback or expression durations, springs, async callbacks).
+
+const { total, steps, labels } = estimateTimeline(compiled);
+total;          // { min: 1200, max: 1700 }
+labels.outro;   // { min: 900, max: 1400 }, when the step labelled "outro" starts
+steps[3];       // { start: {...}, end: {...} }, null when unreachable
+durations[3];   // { min: 400, max: 400 }, the step alone, ignoring control flow
+ */
+
+const ZERO = Object.freeze({ min: 0, max: 0 });
+const UNKNOWN = Object.freeze({ min: 0, max: Infinity });
+
+const exact = (ms) => ({ min: ms, max: ms });
+const add = (a, b) => ({ min: a.min + b.min, max: a.max + b.max });
+const join = (a, b) => (a ? { min: Math.min(a.min, b.min), max: Math.max(a.max, b.max) } : b);
+const times = (range, n) => (n === 0 ? ZERO : { min: range.min * n, max: range.max * n });
+const longer = (a, b) => ({ min: Math.max(a.min, b.min), max: Math.max(a.max, b.max) });
+
+/** Static value of a number, or of an expression without variables. */
+const staticNumber = (value, callbacks) => {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || callbacks[value]) return undefined;
+  try {
+    const expression = compileExpression(value);
+    if (expression.names.length) return undefined;
+    const result = expression.evaluate({});
+    return typeof result === "number" ? result : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/** Duration range of one step, ignoring control flow. `joins` holds the wait of each `join(id)`. */
+const getStepDuration = (step, callbacks, joins = {}) => {
+  const fixed = (value) => {
+    const ms = staticNumber(value, callbacks);
+    return ms === undefined ? UNKNOWN : exact(ms);
+  };
+  switch (step.type) {
+    case "move":
+    case "delay":
+      return fixed(step.duration);
+    case "keyframes":
+      return step.frames.reduce((sum, frame) => add(sum, fixed(frame.duration)), ZERO);
+    case "parallel":
+      return step.targets.reduce((longest, target) => longer(longest, getStepDuration(target, callbacks)), ZERO);
+    case "stagger": {
+      // The i-th target starts after i intervals
+      const interval = fixed(step.interval);
+      return step.targets.reduce((longest, target, i) => (
+        longer(longest, add(times(interval, i), getStepDuration(target, callbacks)))
+      ), ZERO);
+    }
+    case "sequence":
+      return step.steps.reduce((sum, child) => add(sum, getStepDuration(child, callbacks)), ZERO);
+    case "spring": // settle time depends on physics and on the runtime distance
+    case "decay":
+    case "hold":
+      return UNKNOWN;
+    case "callback":
+      return isAsync(callbacks[step.name]) ? UNKNOWN : ZERO;
+    case "join": // at most the whole track, which started earlier
+      return joins[step.id] ?? UNKNOWN;
+    default:
+      return ZERO;
+  }
+};
+
+/**
+ * Estimate when each step starts and ends and how long the whole scenario
+ * takes, without running it. Branches (`ifThen`, `ifJump`) give ranges,
+ * `repeat()` with a static count multiplies its body, `call()` adds the
+ * subroutine, `join()` up to the duration of the forked track. Holds,
+ * `whileDo()`/`goto` loops, springs and values only known at runtime make the
+ * upper bound `Infinity`.
+ *
+ * @param {{steps: Array, labels: Object, scopedLabels?: Object, tracks?: Object}} compiled - Result of `compileScenario`.
+ * @param {Object} [options]
+ * @param {Object<string,Function>} [options.callbacks] - Async callbacks make their step unbounded.
+ * @returns {{total: {min: number, max: number}, steps: Array<{start: Object, end: Object}|null>, durations: Array<{min: number, max: number}>, labels: Object<string,{min: number, max: number}>}}
+ */
+export const estimateTimeline = ({ steps, labels, scopedLabels = {}, tracks = {} }, { callbacks = {} } = {}) => {
+  const allLabels = { ...scopedLabels, ...labels };
+  const graph = getFlowGraph(steps, allLabels);
+  const loopPairs = matchLoops(steps);
+
+  // Tracks forked by this program; joining one waits at most for its whole duration
+  const joins = {};
+  steps.filter(step => step.type === "fork" && tracks[step.block]).forEach(step => {
+    const { max } = estimateTimeline(tracks[step.block], { callbacks }).total;
+    joins[step.id] = join(joins[step.id], { min: 0, max: max * (step.__timeScale ?? 1) });
+  });
+
+  // timeScale() does not apply to join(), the track keeps its own pace
+  const durations = steps.map(step => (step.type === "join"
+    ? getStepDuration(step, callbacks, joins)
+    : times(getStepDuration(step, callbacks, joins), step.__timeScale ?? 1)));
+  const starts = new Array(steps.length).fill(undefined);
+
+  /** Number of iterations of a `repeat()` step, when known statically. */
+  const repeatCount = (index) => (steps[index].type === "repeat" && loopPairs[index] !== undefined
+    ? staticNumber(steps[index].count, callbacks)
+    : undefined);
+
+  /**
+   * Propagate start ranges from `entry` over the steps in `[lo, hi)` until
+   * they are stable. Upper bounds that keep growing (a loop taking time) are
+   * widened to `Infinity`. Returns the ranges reaching `hi` (or a `ret()` in a
+   * subroutine) as `exit`, and those ending the scenario as `finished`.
+   */
+  const solve = (entry, time, { lo = 0, hi = steps.length, inCall = false, record = true, calls = [] }) => {
+    const local = new Map();
+    const updates = new Map();
+    const pending = [];
+    let exit;
+    let finished;
+
+    const reach = (index, range) => {
+      if (index === steps.length && (inCall || hi !== steps.length)) {
+        finished = join(finished, range);
+        return;
+      }
+      if (index === hi) {
+        exit = join(exit, range);
+        return;
+      }
+      if (index < lo || index > hi) return; // jump out of a repeat body: not followed
+      const previous = local.get(index);
+      const next = join(previous, range);
+      if (previous && next.min === previous.min && next.max === previous.max) return;
+      const count = (updates.get(index) ?? 0) + 1;
+      updates.set(index, count);
+      if (count > steps.length + 1) next.max = Infinity;
+      local.set(index, next);
+      pending.push(index);
+    };
+
+    reach(entry, time);
+    while (pending.length) {
+      const index = pending.shift();
+      const start = local.get(index);
+      const step = steps[index];
+      if (record) starts[index] = join(starts[index], start);
+      const end = add(start, durations[index]);
+
+      const count = repeatCount(index);
+      if (count !== undefined) {
+        // Static repeat: measure one iteration, then skip over the whole loop
+        const endIndex = loopPairs[index];
+        const body = solve(index + 1, ZERO, { lo: index + 1, hi: endIndex, inCall, record: false, calls }).exit;
+        if (count > 0) {
+          const last = body ? add(end, { min: 0, max: body.max * (count - 1) }) : end;
+          const run = solve(index + 1, last, { lo: index + 1, hi: endIndex, inCall, record, calls });
+          if (run.finished) finished = join(finished, run.finished);
+        }
+        if (count === 0) reach(endIndex + 1, end);
+        else if (body) {
+          if (record) starts[endIndex] = join(starts[endIndex], add(end, { min: body.min, max: body.max * count }));
+          reach(endIndex + 1, add(end, times(body, count)));
+        }
+        continue;
+      }
+
+      if (step.type === "call") {
+        const target = allLabels[step.label];
+        if (target === undefined) continue;
+        if (calls.includes(target)) {
+          // Recursion, bounded only by maxCallDepth at runtime
+          reach(index + 1, { min: end.min, max: Infinity });
+          continue;
+        }
+        const call = solve(target, end, { inCall: true, record, calls: [...calls, target] });
+        if (call.finished) finished = join(finished, call.finished);
+        if (call.exit) reach(index + 1, call.exit);
+        continue;
+      }
+
+      if (step.type === "ret" && inCall) {
+        exit = join(exit, end);
+        continue;
+      }
+
+      const edges = graph[index];
+      if (!edges.length) finished = join(finished, end); // stop(), or ret()/resume() with nowhere to go
+      edges.forEach(edge => reach(edge.to, end));
+    }
+
+    return { exit, finished };
+  };
+
+  const { exit, finished } = steps.length ? solve(0, ZERO, {}) : { exit: ZERO };
+  // A scenario that never reaches its end, like a goto loop without exit, lasts forever
+  const total = join(exit, finished ?? exit) ?? { min: Infinity, max: Infinity };
+
+  return {
+    total,
+    steps: steps.map((_, i) => (starts[i] ? { start: starts[i], end: add(starts[i], durations[i]) } : null)),
+    durations,
+    labels: Object.fromEntries(Object.entries(allLabels)
+      .filter(([, index]) => starts[index])
+      .map(([name, index]) => [name, starts[index]])),
+  };
+};
+
+/**
+ * Format a duration range for display: `"0:12"`, `"0:12-0:15"`, or
+ * `"unbounded"` when there is no upper bound.
+ *
+ * @param {{min: number, max: number}|number} range - Range or milliseconds.
+ * @returns {string}
+ */
+export const formatDuration = (range) => {
+  const { min, max } = typeof range === "number" ? exact(range) : range;
+  if (max === Infinity) return "unbounded";
+  const format = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  };
+  return format(min) === format(max) ? format(min) : `${format(min)}-${format(max)}`;
+};
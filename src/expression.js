@@ -0,0 +1,173 @@
+/*
+Small expression language for conditions and dynamic values:
+
+"score > 5 && attempts < 3"
+"x + 20"
+"!(done || mode == 'intro')"
+
+Supported: numbers, 'strings' / "strings", true/false/null, variable names,
+parentheses, unary ! - +, * / %, + -, < <= > >=, == != (=== !==), && ||.
+Nothing is evaluated as JavaScript: variables are read from the given scope.
+ */
+
+const OPERATORS = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "<", ">", "+", "-", "*", "/", "%", "!", "(", ")"];
+const LITERALS = { true: true, false: false, null: null };
+
+/** Build an error pointing at the offending column of the expression. */
+const expressionError = (source, message, column) => {
+  const error = new Error(`Invalid expression "${source}" at column ${column}: ${message}`);
+  error.column = column;
+  return error;
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    const column = i + 1;
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), column });
+      i += number[0].length;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) throw expressionError(source, "unterminated string", column);
+      tokens.push({ type: "string", value: source.slice(i + 1, end), column });
+      i = end + 1;
+      continue;
+    }
+    const name = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: "name", value: name[0], column });
+      i += name[0].length;
+      continue;
+    }
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) throw expressionError(source, `unexpected character '${ch}'`, column);
+    tokens.push({ type: "op", value: operator, column });
+    i += operator.length;
+  }
+  tokens.push({ type: "end", column: source.length + 1 });
+  return tokens;
+};
+
+/** Binary operators by precedence level, lowest first. */
+const BINARY_LEVELS = [["||"], ["&&"], ["==", "!=", "===", "!=="], ["<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek().type === "op" && peek().value === value;
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (peek().type === "op" && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: parseLevel(level + 1) };
+    }
+    return left;
+  };
+
+  function parseUnary() {
+    if (isOp("!") || isOp("-") || isOp("+")) {
+      const op = tokens[pos++].value;
+      return { type: "unary", op, argument: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token.type === "number" || token.type === "string") return { type: "literal", value: token.value };
+    if (token.type === "name") {
+      if (LITERALS.hasOwnProperty(token.value)) return { type: "literal", value: LITERALS[token.value] };
+      return { type: "variable", name: token.value };
+    }
+    if (token.type === "op" && token.value === "(") {
+      const inner = parseLevel(0);
+      if (!isOp(")")) throw expressionError(source, "expected ')'", peek().column);
+      pos++;
+      return inner;
+    }
+    throw expressionError(source, token.type === "end" ? "unexpected end" : `unexpected '${token.value}'`, token.column);
+  }
+
+  const ast = parseLevel(0);
+  if (peek().type !== "end") throw expressionError(source, `unexpected '${peek().value}'`, peek().column);
+  return ast;
+};
+
+const BINARY = {
+  "||": (a, b) => a() || b(),
+  "&&": (a, b) => a() && b(),
+  "==": (a, b) => a() === b(),
+  "===": (a, b) => a() === b(),
+  "!=": (a, b) => a() !== b(),
+  "!==": (a, b) => a() !== b(),
+  "<": (a, b) => a() < b(),
+  "<=": (a, b) => a() <= b(),
+  ">": (a, b) => a() > b(),
+  ">=": (a, b) => a() >= b(),
+  "+": (a, b) => a() + b(),
+  "-": (a, b) => a() - b(),
+  "*": (a, b) => a() * b(),
+  "/": (a, b) => a() / b(),
+  "%": (a, b) => a() % b(),
+};
+
+const evaluate = (node, scope) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "variable":
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) throw new Error(`Undeclared variable '${node.name}'`);
+      return scope[node.name];
+    case "unary": {
+      const value = evaluate(node.argument, scope);
+      if (node.op === "!") return !value;
+      return node.op === "-" ? -value : +value;
+    }
+    case "binary":
+      return BINARY[node.op](() => evaluate(node.left, scope), () => evaluate(node.right, scope));
+  }
+};
+
+const collectNames = (node, names) => {
+  if (node.type === "variable") names.add(node.name);
+  if (node.type === "unary") collectNames(node.argument, names);
+  if (node.type === "binary") {
+    collectNames(node.left, names);
+    collectNames(node.right, names);
+  }
+  return names;
+};
+
+const cache = new Map();
+
+/**
+ * Compile an expression. Syntax errors are thrown with the column.
+ *
+ * @param {string} source
+ * @returns {{source: string, names: Array<string>, evaluate: function(Object): *}}
+ * `names` lists the variables read by the expression.
+ */
+export const compileExpression = (source) => {
+  if (!cache.has(source)) {
+    const ast = parse(source);
+    cache.set(source, Object.freeze({
+      source,
+      names: [...collectNames(ast, new Set())],
+      evaluate: (scope) => evaluate(ast, scope),
+    }));
+  }
+  return cache.get(source);
+};
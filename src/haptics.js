@@ -0,0 +1,85 @@
+/*
+Haptics adapters for the `vibrate()` step. An adapter is an object with
+`trigger(feedback)`, `feedback` being a style name or a custom pattern.
+
+createExpoHaptics(Haptics);       // import * as Haptics from "expo-haptics"
+createVibrationHaptics(Vibration); // import { Vibration } from "react-native"
+noHaptics;                         // silent, e.g. in tests
+ */
+
+/** Feedback styles accepted by `vibrate()`. */
+export const HAPTIC_STYLES = Object.freeze(["light", "medium", "heavy", "success", "warning", "error", "selection"]);
+
+/**
+ * Whether a value is a custom vibration pattern: durations in ms alternating
+ * pause and vibration, starting with a pause, like `Vibration.vibrate()`.
+ */
+export const isHapticPattern = (value) => Array.isArray(value) && value.length > 0
+  && value.every(ms => typeof ms === "number" && ms >= 0 && Number.isFinite(ms));
+
+/** Whether a value is a style of `HAPTIC_STYLES` or a custom pattern. */
+export const isHapticFeedback = (value) => HAPTIC_STYLES.includes(value) || isHapticPattern(value);
+
+/** Haptics adapter that does nothing, used when none is provided. */
+export const noHaptics = Object.freeze({ trigger: () => {} });
+
+/** Start offsets (ms) of the vibrations of a pattern. */
+const patternPulses = (pattern) => {
+  const pulses = [];
+  let offset = 0;
+  pattern.forEach((ms, i) => {
+    if (i % 2 === 1 && ms > 0) pulses.push(offset);
+    offset += ms;
+  });
+  return pulses;
+};
+
+/**
+ * Adapter for the `expo-haptics` module, passed in so that the library
+ * does not depend on Expo. A custom pattern plays a medium impact at the
+ * start of each of its vibrations.
+ *
+ * @param {Object} Haptics - `import * as Haptics from "expo-haptics"`.
+ * @param {{setTimeout: Function}} [timers] - Schedules the pulses of a pattern.
+ */
+export const createExpoHaptics = (Haptics, { setTimeout: schedule = setTimeout } = {}) => {
+  const { ImpactFeedbackStyle: Impact, NotificationFeedbackType: Notification } = Haptics;
+  const styles = {
+    light: () => Haptics.impactAsync(Impact.Light),
+    medium: () => Haptics.impactAsync(Impact.Medium),
+    heavy: () => Haptics.impactAsync(Impact.Heavy),
+    success: () => Haptics.notificationAsync(Notification.Success),
+    warning: () => Haptics.notificationAsync(Notification.Warning),
+    error: () => Haptics.notificationAsync(Notification.Error),
+    selection: () => Haptics.selectionAsync(),
+  };
+  return Object.freeze({
+    trigger: (feedback) => {
+      if (!isHapticPattern(feedback)) return styles[feedback]();
+      patternPulses(feedback).forEach(offset => (
+        offset > 0 ? schedule(styles.medium, offset) : styles.medium()
+      ));
+    },
+  });
+};
+
+/** Vibration durations (ms) or patterns standing for each style. */
+const VIBRATION_PATTERNS = {
+  light: 10,
+  medium: 20,
+  heavy: 40,
+  selection: 5,
+  success: [0, 20, 60, 20],
+  warning: [0, 30, 80, 30],
+  error: [0, 40, 50, 40, 50, 40],
+};
+
+/**
+ * Adapter for the React Native `Vibration` API, for bare apps without
+ * Expo. iOS ignores the durations and plays its default vibration.
+ *
+ * @param {{vibrate: Function}} Vibration - `import { Vibration } from "react-native"`.
+ */
+export const createVibrationHaptics = (Vibration) => Object.freeze({
+  trigger: (feedback) => Vibration.vibrate(isHapticPattern(feedback) ? feedback : VIBRATION_PATTERNS[feedback]),
+});
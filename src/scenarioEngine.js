@@ -1,3 +1,6 @@
+import { parseScenarioString } from "./scenarioParser.js";
+import { easing } from "./easing.js";
+import { HAPTIC_STYLES } from "./haptics.js";
 
 // === Step Helpers ===
 
@@ -7,12 +10,14 @@ move("x", inc(50), 500);                     // Relative forward
 move("x", dec(30), 300);                     // Relative backward
 move("x", 200, 500, "slideBack");            // With label
 move("x", 150, 400, null, { easing: Easing.inOut(Easing.quad), native: false }); // Advanced
+move("bg", "#ff0000", 400);                  // Color target
+move("pos", { x: 10, y: 20 }, 300);          // {x, y} target
  */
 /**
  * Create a step that animates `target` to `to` over `duration` milliseconds.
  *
  * @param {string} target - Animated value to update.
- * @param {number|Object} to - Target value or relative instruction.
+ * @param {number|string|Object} to - Target value, relative instruction, color or `{x, y}`.
  * @param {number} duration - Animation duration in ms.
  * @param {string} [label]
  * @param {{easing?: Function, native?: boolean}} [options]
@@ -27,6 +32,75 @@ export const move = (target, to, duration, label = undefined, options = {}) =>
   ...(options.native !== undefined ? { native: options.native } : {}),
 });
 
+/*
+spring("scale", 1.2);                                  // Default spring
+spring("y", inc(40), { friction: 4, tension: 60 });    // Relative, bouncy
+spring("x", 0, { stiffness: 120, damping: 8 }, "back"); // With label
+ */
+/**
+ * Create a step that animates `target` to `to` with a physics spring
+ * (backed by `Animated.spring`).
+ *
+ * @param {string} target - Animated value to update.
+ * @param {number|string|Object} to - Target value, relative instruction, color or `{x, y}`.
+ * @param {Object} [config] - `Animated.spring` options (friction/tension,
+ * speed/bounciness or stiffness/damping/mass, velocity, overshootClamping...).
+ * Use `native: false` to disable the native driver.
+ * @param {string} [label]
+ */
+export const spring = (target, to, config = {}, label = undefined) => Object.freeze({
+  type: "spring",
+  target,
+  to,
+  config,
+  ...(label ? { label } : {}),
+});
+
+/*
+decay("x", 0.8);                             // Fling with default deceleration
+decay("x", -1.2, { deceleration: 0.995 });   // Custom deceleration
+ */
+/**
+ * Create a step that starts `target` with an initial `velocity` (units per ms)
+ * and slows it down to a stop (backed by `Animated.decay`).
+ *
+ * @param {string} target - Animated value to update.
+ * @param {number} velocity - Initial velocity.
+ * @param {{deceleration?: number, native?: boolean}} [config]
+ * @param {string} [label]
+ */
+export const decay = (target, velocity, config = {}, label = undefined) => Object.freeze({
+  type: "decay",
+  target,
+  velocity,
+  config,
+  ...(label ? { label } : {}),
+});
+
+/*
+keyframes("y", [
+  { value: -30, duration: 200, easing: Easing.out(Easing.quad) },
+  { value: 0, duration: 200 },
+  { value: inc(10), duration: 100 },         // Relative to the previous keyframe
+]);
+ */
+/**
+ * Create a step that animates `target` through several values in a row.
+ * Relative values (`inc`/`dec`) are applied to the previous keyframe.
+ *
+ * @param {string} target - Animated value to update.
+ * @param {Array<{value: number|Object, duration: number, easing?: Function}>} frames
+ * @param {string} [label]
+ * @param {{native?: boolean}} [options]
+ */
+export const keyframes = (target, frames, label = undefined, options = {}) => Object.freeze({
+  type: "keyframes",
+  target,
+  frames,
+  ...(label ? { label } : {}),
+  ...(options.native !== undefined ? { native: options.native } : {}),
+});
+
 /** Relative increment helper */
 export const inc = (value) => Object.freeze({ type: "inc", value });
 /** Relative decrement helper */
@@ -37,16 +111,65 @@ export const delay = (duration, label) => Object.freeze({
   type: "delay", duration, ...(label ? { label } : {})
 });
 
-/** Run several move steps in parallel. */
+/*
+use("intro");
+timeScale(2);        // following steps of this block (or of the scenario) take twice as long
+move("x", 100, 500); // runs in 1000ms
+ */
+/** Scale the durations of the following steps of the current block. */
+export const timeScale = (factor) => Object.freeze({ type: "timeScale", factor });
+
+/** Run several move, spring, decay or keyframes steps in parallel. */
 export const parallel = (targets, label) => Object.freeze({
   type: "parallel", targets, ...(label ? { label } : {})
 });
 
-/** Trigger a vibration / haptic feedback. */
-export const vibrate = (label) => Object.freeze({
-  type: "vibrate", ...(label ? { label } : {})
+/*
+stagger(80, [move("item*.opacity", 1, 300)]),  // item1 starts at 0ms, item2 at 80ms...
+parallel([
+  move("x", 100, 300),
+  sequence([delay(100), callback("ping"), move("y", 50, 200)]),
+]),
+ */
+/** Start animations `interval` ms apart and wait for all of them, like `Animated.stagger`. */
+export const stagger = (interval, targets, label) => Object.freeze({
+  type: "stagger", interval, targets, ...(label ? { label } : {})
 });
 
+/**
+ * Run steps in order. Inside `parallel()` or `stagger()`, the sequence runs
+ * as a single target and can hold animations, delays, sets, variables and callbacks.
+ */
+export const sequence = (steps) => Object.freeze({
+  type: "sequence", steps
+});
+
+/*
+vibrate();                                   // Light impact, the first time the step runs
+vibrate("success");                          // light|medium|heavy|success|warning|error|selection
+vibrate("heavy", "always");                  // Every time the step runs, e.g. in a loop
+vibrate([0, 40, 60, 40]);                    // Custom pattern: pause, vibrate, pause, vibrate (ms)
+vibrate("buzz");                             // Not a style: the label, like before styles existed
+ */
+/**
+ * Trigger a haptic feedback through the `haptics` adapter.
+ *
+ * @param {string|Array<number>} [style="light"] - Feedback style or custom pattern. Any other
+ * string is taken as the label, so that `vibrate(label)` keeps working.
+ * @param {"once"|"always"} [policy] - Vibrate only the first time the step runs (default, see
+ * `vibrationMode`) or every time.
+ * @param {string} [label]
+ */
+export const vibrate = (style, policy, label) => {
+  if (typeof style === "string" && !HAPTIC_STYLES.includes(style)) return vibrate(undefined, policy, style);
+  return Object.freeze({
+    type: "vibrate",
+    ...(style !== undefined ? { style } : {}),
+    ...(policy ? { policy } : {}),
+    ...(label ? { label } : {}),
+  });
+};
+
 /** Invoke a named callback. */
 export const callback = (name, value, label) => Object.freeze({
   type: "callback", name, ...(value !== undefined ? { value } : {}), ...(label ? { label } : {})
@@ -67,9 +190,34 @@ export const comment = (comment) => Object.freeze({
   type: "comment", ...(comment ? { comment } : {})
 });
 
-/** Insert a named block of steps. */
-export const use = (block) => Object.freeze({
-  type: "use", block
+/** Insert a named block of steps, with arguments for a parameterized block. */
+export const use = (block, args) => Object.freeze({
+  type: "use", block, ...(args !== undefined ? { args } : {})
+});
+
+/*
+fork("pulse", "pulse"),                      // Start the "pulse" block as its own track
+move("x", 100, 500),                         // ...while the main flow goes on
+cancel("pulse"),                             // Kill the track, or wait for its end with join("pulse")
+ */
+/** Start a block as a concurrent track identified by `id`. */
+export const fork = (block, id) => Object.freeze({
+  type: "fork", block, id
+});
+
+/** Wait until the track `id` started by `fork()` ends. */
+export const join = (id) => Object.freeze({
+  type: "join", id
+});
+
+/** Stop the track `id` started by `fork()`. */
+export const cancel = (id) => Object.freeze({
+  type: "cancel", id
+});
+
+/** Placeholder replaced by a block argument when the block is used. */
+export const param = (name) => Object.freeze({
+  type: "param", name
 });
 
 /** Jump to a previously defined label. */
@@ -82,11 +230,46 @@ export const set = (target, value) => Object.freeze({
   type: "set", target, value
 });
 
+/*
+setVar("attempts", 0);
+setVar("score", "score + bonus");            // Expression
+setVar("level", "getLevel");                 // Callback name
+incVar("attempts");                          // +1
+incVar("score", -5);
+ */
+/** Set a scenario variable to a literal, an expression or a callback result. */
+export const setVar = (name, value) => Object.freeze({
+  type: "setVar", name, value
+});
+
+/** Add `delta` (number, expression or callback name) to a scenario variable. */
+export const incVar = (name, delta = 1) => Object.freeze({
+  type: "incVar", name, delta
+});
+
 /** Continue execution after a `goto` call. */
 export const resume = () => Object.freeze({
   type: "resume"
 });
 
+/*
+call("blink"),                               // Jump to "blink", come back here on ret()
+...
+label("blink"),
+move("opacity", 0, 100),
+move("opacity", 1, 100),
+ret(),
+ */
+/** Call the subroutine starting at `label`; `ret()` returns after this step. */
+export const call = (label) => Object.freeze({
+  type: "call", ...(label ? { label } : {})
+});
+
+/** Return to the step after the last `call()`. */
+export const ret = () => Object.freeze({
+  type: "ret"
+});
+
 /** Stop the scenario and reset state. */
 export const stop = () => Object.freeze({
   type: "stop"
@@ -111,6 +294,35 @@ export const ifElse = () => Object.freeze({
 export const ifEnd = () => Object.freeze({
   type: "ifEnd"
 });
+
+/*
+repeat(3),                                   // Fixed count
+  move("y", -30, 200),
+  move("y", 0, 200),
+endRepeat(),
+repeat("getBounces"),                        // Count from a callback
+  vibrate(),
+endRepeat(),
+ */
+/** Begin a block repeated `count` times (number or callback name). */
+export const repeat = (count) => Object.freeze({
+  type: "repeat", count
+});
+
+/** End a block started with `repeat`. */
+export const endRepeat = () => Object.freeze({
+  type: "endRepeat"
+});
+
+/** Begin a block repeated while `condition` (function or callback name) is true. */
+export const whileDo = (condition) => Object.freeze({
+  type: "whileDo", condition
+});
+
+/** End a block started with `whileDo`. */
+export const endWhile = () => Object.freeze({
+  type: "endWhile"
+});
 // === Scenario Wrapper ===
 /**
  * Freeze and return a scenario array. Use this when defining blocks or main
@@ -121,40 +333,44 @@ export const defineScenario = (steps) => {
   return Object.freeze(steps);
 };
 
+/*
+const blocks = {
+  bounce: defineBlock({ target: "string", height: { type: "number", default: 30 } }, [
+    label("top"),
+    move(param("target"), dec(param("height")), 200),
+    move(param("target"), inc(param("height")), 200),
+  ]),
+};
+use("bounce", { target: "y" });
+use("bounce", { target: "logoY", height: 10 });
+ */
+/**
+ * Define a parameterized block. `params` maps each parameter name to its type
+ * (`"string"`, `"number"`, `"boolean"`, `"value"`, `"callback"` or `"any"`)
+ * or to `{type, default}`. Steps reference parameters with `param(name)`.
+ */
+export const defineBlock = (params, steps) => {
+  if (!params || typeof params !== "object" || Array.isArray(params)) throw new Error("defineBlock() requires a params object");
+  return Object.freeze({ params: Object.freeze({ ...params }), steps: defineScenario(steps) });
+};
+
+
+// === Load from String ===
+/** Helpers callable from a scenario string, by name. */
+const scenarioHelpers = Object.freeze({
+  defineScenario, defineBlock, move, spring, decay, keyframes, inc, dec, delay, parallel, stagger, sequence, vibrate, callback, hold, label,
+  comment, use, fork, join, cancel, param, goto, set, setVar, incVar, call, ret, resume, stop, ifJump, ifThen, ifElse, ifEnd,
+  repeat, endRepeat, whileDo, endWhile, timeScale, easing,
+});
 
-// === Load from String with Sandboxing ===
 /**
- * Safely evaluate a scenario defined as a string. Only the step helper
- * functions are exposed to the sandboxed function.
+ * Parse a scenario defined as a string, e.g. loaded from a remote CMS. The
+ * text is tokenized and parsed, never evaluated: only the step helpers,
+ * literals, arrays and objects are accepted. Syntax errors report their line
+ * and column.
  */
 export const loadScenarioFromString = (code) => {
-  const fn = new Function(
-    "defineScenario", "move", "delay", "callback", "vibrate", "parallel", "hold", "label", "comment", "use", "goto", "set", "resume", "stop", "ifJump", "inc", "dec", "ifThen", "ifElse", "ifEnd"
-      `return ${code};`
-  );
-
-  const result = fn(
-    Object.freeze(defineScenario),
-    Object.freeze(move),
-    Object.freeze(inc),
-    Object.freeze(dec),
-    Object.freeze(delay),
-    Object.freeze(callback),
-    Object.freeze(vibrate),
-    Object.freeze(parallel),
-    Object.freeze(hold),
-    Object.freeze(label),
-    Object.freeze(comment),
-    Object.freeze(use),
-    Object.freeze(goto),
-    Object.freeze(set),
-    Object.freeze(resume),
-    Object.freeze(stop),
-    Object.freeze(ifJump),
-    Object.freeze(ifThen),
-    Object.freeze(ifElse),
-    Object.freeze(ifEnd)
-  );
+  const result = parseScenarioString(code, scenarioHelpers);
 
   if (!Array.isArray(result)) throw new Error("Scenario must be an array");
 
@@ -0,0 +1,303 @@
+import { compileScenario } from "./compileScenario.js";
+import { easing, getEasingName } from "./easing.js";
+import { isValueXY } from "./color.js";
+import { HAPTIC_STYLES, isHapticFeedback } from "./haptics.js";
+
+/*
+Wire format of a scenario:
+
+{
+  "version": 1,
+  "scenario": [
+    { "type": "move", "target": "x", "to": { "type": "inc", "value": 50 }, "duration": 500, "easing": "inOut(quad)" },
+    { "type": "ifThen", "condition": "isLeft" },
+    ...
+  ],
+  "blocks": {
+    "glow": [ ... ],
+    "bounce": { "params": { "target": "string" }, "steps": [ ... ] }
+  }
+}
+
+Functions are never serialized: conditions and dynamic values reference
+callbacks by name or use expressions, easings reference the named easing
+registry.
+ */
+
+/** Current version of the JSON scenario format. */
+export const SCENARIO_SCHEMA_VERSION = 1;
+
+/**
+ * Fields allowed for each step type, with their kind. A trailing `!` marks a
+ * required field.
+ */
+const STEP_SCHEMA = {
+  move: { target: "string!", to: "value!", duration: "numberOrCallback!", label: "string", easing: "easing", native: "boolean" },
+  spring: { target: "string!", to: "value!", config: "config!", label: "string" },
+  decay: { target: "string!", velocity: "numberOrCallback!", config: "config!", label: "string" },
+  keyframes: { target: "string!", frames: "frames!", label: "string", native: "boolean" },
+  delay: { duration: "numberOrCallback!", label: "string" },
+  timeScale: { factor: "number!" },
+  parallel: { targets: "animations!", label: "string" },
+  stagger: { interval: "numberOrCallback!", targets: "animations!", label: "string" },
+  sequence: { steps: "steps!" },
+  vibrate: { style: "haptic", policy: "string", label: "string" },
+  callback: { name: "string!", value: "json", label: "string" },
+  hold: { label: "string" },
+  label: { label: "string!" },
+  comment: { comment: "string" },
+  use: { block: "string!", args: "json" },
+  fork: { block: "string!", id: "string!" },
+  join: { id: "string!" },
+  cancel: { id: "string!" },
+  goto: { label: "string!" },
+  set: { target: "string!", value: "value!" },
+  setVar: { name: "string!", value: "expression!" },
+  incVar: { name: "string!", delta: "expression!" },
+  resume: {},
+  call: { label: "string!" },
+  ret: {},
+  stop: {},
+  ifJump: { condition: "callbackName!", labelTrue: "string!", labelFalse: "string" },
+  ifThen: { condition: "callbackName!" },
+  ifElse: {},
+  ifEnd: {},
+  repeat: { count: "numberOrCallback!" },
+  endRepeat: {},
+  whileDo: { condition: "callbackName!" },
+  endWhile: {},
+};
+
+const ANIMATION_TYPES = ["move", "spring", "decay", "keyframes"];
+
+/** Steps allowed as `parallel`/`stagger` targets: animations, or a sequence of steps. */
+const TARGET_TYPES = [...ANIMATION_TYPES, "sequence"];
+const FRAME_SCHEMA = { value: "relative!", duration: "number!", easing: "easing" };
+
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+const isParam = (value) => isPlainObject(value) && value.type === "param" && typeof value.name === "string"
+  && Object.keys(value).length === 2;
+
+/**
+ * Convert a scenario between its in-memory and JSON representation, checking
+ * it against the schema. `toJSON` turns named easings into strings, the other
+ * direction resolves them. Problems are pushed to `errors`.
+ */
+const createConverter = (toJSON, errors) => {
+  const fail = (path, message) => {
+    errors.push(`${path}: ${message}`);
+    return undefined;
+  };
+
+  const checkFunction = (value, path, hint) => {
+    if (typeof value === "function") fail(path, `functions cannot be serialized, ${hint}`);
+    return typeof value === "function";
+  };
+
+  const kinds = {
+    string: (value, path) => (typeof value === "string" ? value : fail(path, "must be a string")),
+    number: (value, path) => (typeof value === "number" && Number.isFinite(value) ? value : fail(path, "must be a number")),
+    boolean: (value, path) => (typeof value === "boolean" ? value : fail(path, "must be a boolean")),
+    callbackName: (value, path) => {
+      if (checkFunction(value, path, "reference a callback by name")) return;
+      return typeof value === "string" ? value : fail(path, "must be a callback name");
+    },
+    numberOrCallback: (value, path) => {
+      if (checkFunction(value, path, "reference a callback by name")) return;
+      return typeof value === "number" || typeof value === "string" ? value : fail(path, "must be a number or a callback name");
+    },
+    expression: (value, path) => {
+      if (checkFunction(value, path, "use an expression or a callback name")) return;
+      return ["number", "string", "boolean"].includes(typeof value) || value === null
+        ? value
+        : fail(path, "must be a literal, an expression or a callback name");
+    },
+    relative: (value, path) => {
+      if (typeof value === "number") return value;
+      if (isPlainObject(value) && (value.type === "inc" || value.type === "dec")
+        && (typeof value.value === "number" || isParam(value.value)) && Object.keys(value).length === 2) {
+        const relative = { type: value.type, value: convertValue("number", value.value, `${path}.value`) };
+        return toJSON ? relative : Object.freeze(relative);
+      }
+      return fail(path, "must be a number or an inc/dec object");
+    },
+    value: (value, path) => {
+      if (checkFunction(value, path, "reference a callback by name")) return;
+      if (isValueXY(value) && Object.keys(value).length === 2) return toJSON ? { ...value } : Object.freeze({ ...value });
+      return typeof value === "string" ? value : kinds.relative(value, path);
+    },
+    easing: (value, path) => {
+      if (toJSON) {
+        const name = getEasingName(value);
+        return name ?? fail(path, `easing must be created by name with easing("...")`);
+      }
+      if (typeof value !== "string") return fail(path, "easing must be a name like \"inOut(quad)\"");
+      try {
+        return easing(value);
+      } catch (e) {
+        return fail(path, e.message);
+      }
+    },
+    config: (value, path) => {
+      if (!isPlainObject(value)) return fail(path, "must be an object");
+      Object.entries(value).forEach(([key, v]) => {
+        if (typeof v !== "number" && typeof v !== "boolean") fail(`${path}.${key}`, "must be a number or a boolean");
+      });
+      return toJSON ? { ...value } : value;
+    },
+    json: (value, path) => {
+      if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value;
+      if (Array.isArray(value)) return value.map((v, i) => kinds.json(v, `${path}[${i}]`));
+      if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, kinds.json(v, `${path}.${k}`)]));
+      }
+      checkFunction(value, path, "reference a callback by name");
+      return fail(path, "must be a JSON value");
+    },
+    haptic: (value, path) => {
+      if (!isHapticFeedback(value)) return fail(path, `must be ${HAPTIC_STYLES.join("|")} or a pattern of durations`);
+      return Array.isArray(value) ? (toJSON ? [...value] : Object.freeze([...value])) : value;
+    },
+    steps: (value, path) => convertSteps(value, path),
+    frames: (value, path) => {
+      if (!Array.isArray(value)) return fail(path, "must be an array");
+      return value.map((frame, i) => convertObject(frame, FRAME_SCHEMA, `${path}[${i}]`, "frame"));
+    },
+    animations: (value, path) => {
+      if (!Array.isArray(value)) return fail(path, "must be an array");
+      return value.map((step, i) => {
+        if (isPlainObject(step) && !TARGET_TYPES.includes(step.type)) {
+          return fail(`${path}[${i}]`, `'${step.type}' steps are not allowed in parallel or stagger`);
+        }
+        return convertStep(step, `${path}[${i}]`);
+      });
+    },
+  };
+
+  /** Convert a field value, keeping `param()` placeholders of parameterized blocks. */
+  function convertValue(kind, value, path) {
+    if (isParam(value)) return toJSON ? { type: "param", name: value.name } : Object.freeze({ type: "param", name: value.name });
+    return kinds[kind](value, path);
+  }
+
+  function convertObject(input, schema, path, what) {
+    if (!isPlainObject(input)) return fail(path, `${what} must be an object`);
+    const output = {};
+    Object.keys(input).forEach(key => {
+      if (key === "type" && what !== "frame") return;
+      if (!schema.hasOwnProperty(key)) fail(path, `unknown field '${key}' for ${what}`);
+    });
+    Object.entries(schema).forEach(([key, spec]) => {
+      const required = spec.endsWith("!");
+      const kind = spec.replace("!", "");
+      if (input[key] === undefined) {
+        if (required) fail(path, `missing required field '${key}' for ${what}`);
+        return;
+      }
+      output[key] = convertValue(kind, input[key], `${path}.${key}`);
+    });
+    return toJSON ? output : Object.freeze(output);
+  }
+
+  function convertStep(step, path) {
+    if (!isPlainObject(step)) return fail(path, "step must be an object");
+    const schema = STEP_SCHEMA[step.type];
+    if (!schema) return fail(path, `unknown step type '${step.type}'`);
+    const converted = convertObject(step, schema, path, `'${step.type}' step`);
+    return converted && (toJSON ? { type: step.type, ...converted } : Object.freeze({ type: step.type, ...converted }));
+  }
+
+  const convertSteps = (steps, path) => {
+    if (!Array.isArray(steps)) return fail(path, "must be an array of steps");
+    const converted = steps.map((step, i) => convertStep(step, `${path}[${i}]`));
+    return toJSON ? converted : Object.freeze(converted);
+  };
+
+  /** Convert a block: a step array or a parameterized `{params, steps}` block. */
+  const convertBlock = (block, path) => {
+    if (Array.isArray(block)) return convertSteps(block, path);
+    if (!isPlainObject(block)) return fail(path, "block must be an array of steps or a {params, steps} object");
+    Object.keys(block).forEach(key => {
+      if (key !== "params" && key !== "steps") fail(path, `unknown field '${key}' for block`);
+    });
+    if (!isPlainObject(block.params)) return fail(`${path}.params`, "must be an object");
+    const params = kinds.json(block.params, `${path}.params`);
+    const steps = convertSteps(block.steps, `${path}.steps`);
+    return toJSON ? { params, steps } : Object.freeze({ params: Object.freeze(params), steps });
+  };
+
+  return { convertSteps, convertBlock };
+};
+
+/** Throw the collected errors using the same format as `compileScenario`. */
+const throwErrors = (title, errors) => {
+  if (!errors.length) return;
+  const messages = [...new Set(errors)].map(e => `• ${e}`).join("\n");
+  throw new Error(`${title}:\n${messages}`);
+};
+
+/**
+ * Convert a scenario and its blocks to the versioned JSON format. Throws when
+ * a step holds something that cannot be serialized, like an inline function.
+ *
+ * @param {Array<Object>} scenario
+ * @param {Object<string,Array|Object>} [blocks] - Step arrays or `defineBlock()` results.
+ * @returns {{version: number, scenario: Array<Object>, blocks: Object<string,Array<Object>|Object>}}
+ * A JSON-ready object, pass it to `JSON.stringify`.
+ */
+export const serializeScenario = (scenario, blocks = {}) => {
+  const errors = [];
+  const { convertSteps, convertBlock } = createConverter(true, errors);
+
+  const json = {
+    version: SCENARIO_SCHEMA_VERSION,
+    scenario: convertSteps(scenario, "scenario"),
+    blocks: Object.fromEntries(Object.entries(blocks).map(([name, block]) => [name, convertBlock(block, `blocks.${name}`)])),
+  };
+
+  throwErrors("Scenario serialization failed", errors);
+  return json;
+};
+
+/**
+ * Parse a scenario in the versioned JSON format. Unknown versions, step types
+ * and fields are rejected. When `options` are provided the result is also
+ * compiled with `compileScenario` so labels, blocks, targets and callbacks are
+ * validated too.
+ *
+ * @param {string|Object} json - JSON text or already parsed object.
+ * @param {Object} [options] - `compileScenario` options (`initialValues`, `callbacks`).
+ * @returns {{version: number, scenario: Array, blocks: Object<string,Array>, compiled?: Object}}
+ */
+export const parseScenarioJSON = (json, options = undefined) => {
+  let document = json;
+  if (typeof json === "string") {
+    try {
+      document = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Invalid scenario JSON: ${e.message}`);
+    }
+  }
+
+  const errors = [];
+  if (!isPlainObject(document)) throwErrors("Scenario JSON validation failed", ["document must be an object"]);
+  Object.keys(document).forEach(key => {
+    if (!["version", "scenario", "blocks"].includes(key)) errors.push(`unknown field '${key}'`);
+  });
+  if (document.version !== SCENARIO_SCHEMA_VERSION) {
+    errors.push(`unsupported version ${JSON.stringify(document.version)}, expected ${SCENARIO_SCHEMA_VERSION}`);
+  }
+  if (document.blocks !== undefined && !isPlainObject(document.blocks)) errors.push("blocks must be an object");
+  throwErrors("Scenario JSON validation failed", errors);
+
+  const { convertSteps, convertBlock } = createConverter(false, errors);
+  const scenario = convertSteps(document.scenario, "scenario");
+  const blocks = Object.freeze(Object.fromEntries(
+    Object.entries(document.blocks ?? {}).map(([name, block]) => [name, convertBlock(block, `blocks.${name}`)])
+  ));
+  throwErrors("Scenario JSON validation failed", errors);
+
+  const result = { version: document.version, scenario, blocks };
+  if (options) result.compiled = compileScenario(scenario, { ...options, blocks });
+  return result;
+};
@@ -0,0 +1,232 @@
+/*
+Parses the helper-call DSL without evaluating any JavaScript:
+
+defineScenario([
+  label("start"),
+  move("x", inc(50), 500),          // comments are allowed
+  callback("track", { step: 1 }),
+]);
+
+Supported syntax: calls to the whitelisted helpers, numbers (with unary +/-),
+strings ('', "" or `` without interpolation), true/false/null/undefined,
+arrays and objects (identifier or string keys). Trailing commas are allowed.
+ */
+
+const PUNCTUATION = "()[]{},:;+-";
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+const ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+/** Keys that would reach `Object.prototype` instead of creating a property. */
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+/** Build an error carrying the position of the offending source text. */
+const syntaxError = (message, { line, column }) => {
+  const error = new Error(`Syntax error at line ${line}, column ${column}: ${message}`);
+  error.line = line;
+  error.column = column;
+  return error;
+};
+
+/**
+ * Split the source into number, string, identifier and punctuation tokens.
+ * Whitespace and comments are skipped. The last token is always `eof`.
+ */
+export const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count = 1) => {
+    for (let n = 0; n < count; n++) {
+      if (source[i] === "\n") {
+        line++;
+        column = 1;
+      } else column++;
+      i++;
+    }
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const position = { line, column };
+
+    if (/\s/.test(ch)) {
+      advance();
+      continue;
+    }
+
+    if (ch === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") advance();
+      continue;
+    }
+
+    if (ch === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      if (end === -1) throw syntaxError("unterminated comment", position);
+      advance(end + 2 - i);
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      if (/[A-Za-z_$]/.test(source[i + match[0].length] || "")) {
+        throw syntaxError(`invalid number '${match[0]}${source[i + match[0].length]}'`, position);
+      }
+      tokens.push({ type: "number", value: Number(match[0]), ...position });
+      advance(match[0].length);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === "`") {
+      let value = "";
+      advance();
+      for (;;) {
+        if (i >= source.length) throw syntaxError("unterminated string", position);
+        const c = source[i];
+        if (c === ch) break;
+        if (c === "\n" && ch !== "`") throw syntaxError("unterminated string", position);
+        if (ch === "`" && c === "$" && source[i + 1] === "{") {
+          throw syntaxError("template interpolation is not supported", { line, column });
+        }
+        if (c === "\\") {
+          const next = source[i + 1];
+          if (next === "u") {
+            const hex = source.slice(i + 2, i + 6);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw syntaxError("invalid unicode escape", { line, column });
+            value += String.fromCharCode(parseInt(hex, 16));
+            advance(6);
+            continue;
+          }
+          if (next === undefined) throw syntaxError("unterminated string", position);
+          value += ESCAPES[next] ?? next;
+          advance(2);
+          continue;
+        }
+        value += c;
+        advance();
+      }
+      advance();
+      tokens.push({ type: "string", value, ...position });
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const [name] = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      tokens.push({ type: "identifier", value: name, ...position });
+      advance(name.length);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      tokens.push({ type: "punct", value: ch, ...position });
+      advance();
+      continue;
+    }
+
+    throw syntaxError(`unexpected character '${ch}'`, position);
+  }
+
+  tokens.push({ type: "eof", value: undefined, line, column });
+  return tokens;
+};
+
+/** Human readable description of a token for error messages. */
+const describe = (token) => {
+  if (token.type === "eof") return "end of input";
+  if (token.type === "string") return `string ${JSON.stringify(token.value)}`;
+  return `'${token.value}'`;
+};
+
+/**
+ * Parse a scenario written with the step helpers and build the steps by
+ * calling the whitelisted `helpers`. Nothing in the source is evaluated as
+ * JavaScript: only literals, arrays, objects and helper calls are accepted.
+ *
+ * @param {string} source - Scenario source code.
+ * @param {Object<string,Function>} helpers - Functions callable from the source, by name.
+ * @returns {*} The value of the single top-level expression.
+ */
+export const parseScenarioString = (source, helpers) => {
+  if (typeof source !== "string") throw new Error("Scenario source must be a string");
+
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isPunct = (value, token = peek()) => token.type === "punct" && token.value === value;
+  const expect = (value) => {
+    const token = next();
+    if (!isPunct(value, token)) throw syntaxError(`expected '${value}' but found ${describe(token)}`, token);
+    return token;
+  };
+
+  /** Parse a comma separated list until `close`, allowing a trailing comma. */
+  const parseList = (close, parseItem) => {
+    const items = [];
+    while (!isPunct(close)) {
+      items.push(parseItem());
+      if (isPunct(",")) next();
+      else if (!isPunct(close)) {
+        throw syntaxError(`expected ',' or '${close}' but found ${describe(peek())}`, peek());
+      }
+    }
+    next();
+    return items;
+  };
+
+  const parseObject = () => {
+    const result = {};
+    parseList("}", () => {
+      const key = next();
+      if (key.type !== "identifier" && key.type !== "string" && key.type !== "number") {
+        throw syntaxError(`expected a property name but found ${describe(key)}`, key);
+      }
+      if (FORBIDDEN_KEYS.includes(String(key.value))) throw syntaxError(`property name '${key.value}' is not allowed`, key);
+      expect(":");
+      result[key.value] = parseExpression();
+    });
+    return result;
+  };
+
+  const parseCall = (token) => {
+    const fn = Object.prototype.hasOwnProperty.call(helpers, token.value) ? helpers[token.value] : undefined;
+    if (typeof fn !== "function") throw syntaxError(`unknown function '${token.value}'`, token);
+    next(); // (
+    const args = parseList(")", parseExpression);
+    try {
+      return fn(...args);
+    } catch (e) {
+      throw syntaxError(`${token.value}(): ${e.message}`, token);
+    }
+  };
+
+  function parseExpression() {
+    const token = next();
+
+    if (token.type === "number" || token.type === "string") return token.value;
+
+    if (isPunct("-", token) || isPunct("+", token)) {
+      const operand = next();
+      if (operand.type !== "number") throw syntaxError(`expected a number after '${token.value}'`, operand);
+      return token.value === "-" ? -operand.value : operand.value;
+    }
+
+    if (isPunct("[", token)) return parseList("]", parseExpression);
+    if (isPunct("{", token)) return parseObject();
+
+    if (token.type === "identifier") {
+      if (isPunct("(")) return parseCall(token);
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) return KEYWORDS[token.value];
+      throw syntaxError(`unknown identifier '${token.value}'`, token);
+    }
+
+    throw syntaxError(`unexpected ${describe(token)}`, token);
+  }
+
+  const result = parseExpression();
+  if (isPunct(";")) next();
+  if (peek().type !== "eof") throw syntaxError(`unexpected ${describe(peek())}`, peek());
+  return result;
+};
@@ -0,0 +1,1536 @@
+import { compileExpression } from "./expression.js";
+import { jumpTo, matchLoops } from "./controlFlow.js";
+import { easing } from "./easing.js";
+import { isColor, mixValues } from "./color.js";
+import { noHaptics } from "./haptics.js";
+
+const debug = false;
+
+/** Default clock backed by the global timers. */
+export const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+});
+
+/** Version of the format returned by `exportTrace()`. */
+export const TRACE_VERSION = 1;
+
+/** Copy of a value that survives `JSON.stringify()`, or its string form. */
+const toTraceValue = (value) => {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(value)) ?? null;
+  } catch (e) {
+    return String(value);
+  }
+};
+
+/** Recorded entries of a trace by thread, "" standing for the main flow. */
+const replayQueues = (recorded) => {
+  const queues = new Map();
+  recorded.steps.forEach(entry => {
+    const key = entry.track ?? "";
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(entry);
+  });
+  return queues;
+};
+
+/** Easing of `Animated.timing` when none is given. */
+const DEFAULT_EASING = easing("inOut(ease)");
+
+/**
+ * Describe the rest of an animation paused after `elapsed` ms, so that it
+ * continues on the same curve from the current value. Returns `null` when
+ * the animation was already done.
+ */
+const continueAnimation = (animation, elapsed) => {
+  switch (animation.type) {
+    case "timing": {
+      const progress = animation.duration > 0 ? Math.min(1, elapsed / animation.duration) : 1;
+      if (progress >= 1) return null;
+      const curve = animation.easing ?? DEFAULT_EASING;
+      const from = curve(progress);
+      const span = 1 - from;
+      return {
+        ...animation,
+        duration: animation.duration - elapsed,
+        // Same curve, rescaled to start at the current value
+        easing: span === 0 ? (t) => t : (t) => (curve(progress + t * (1 - progress)) - from) / span,
+      };
+    }
+    case "decay":
+      return { ...animation, velocity: animation.velocity * Math.exp(-(1 - (animation.deceleration ?? 0.998)) * elapsed) };
+    default:
+      return animation; // a spring restarts from the current value, its velocity is lost
+  }
+};
+
+/**
+ * Stretch an animation in time by `factor` (2 = twice as long). Springs are
+ * only scaled when configured with `stiffness`/`damping`.
+ */
+const scaleAnimation = (animation, factor) => {
+  if (factor === 1) return animation;
+  switch (animation.type) {
+    case "timing":
+      return { ...animation, duration: animation.duration * factor };
+    case "decay": {
+      const deceleration = animation.deceleration ?? 0.998;
+      return { ...animation, velocity: animation.velocity / factor, deceleration: 1 - (1 - deceleration) / factor };
+    }
+    case "spring": {
+      if (animation.stiffness === undefined && animation.damping === undefined) return animation;
+      return {
+        ...animation,
+        ...(animation.stiffness !== undefined ? { stiffness: animation.stiffness / (factor * factor) } : {}),
+        ...(animation.damping !== undefined ? { damping: animation.damping / factor } : {}),
+      };
+    }
+    default:
+      return animation;
+  }
+};
+
+/** Steps `seek()` may replay before giving up, e.g. on a `goto` loop that never reaches the target. */
+const SEEK_STEP_BUDGET = 10000;
+
+/** Let pending promise continuations run, so the scenario reaches its next wait. */
+const drainMicrotasks = async () => {
+  for (let i = 0; i < 100; i++) await null;
+};
+
+/**
+ * Clock whose time only moves through `advance()`, used by `seek()` to replay
+ * a scenario in zero time.
+ */
+const createVirtualClock = () => {
+  let now = 0;
+  let nextId = 1;
+  let timers = [];
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms = 0) => {
+      const id = nextId++;
+      timers.push({ id, fn, at: now + Math.max(0, ms) });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers = timers.filter(timer => timer.id !== id);
+    },
+    /** Fire due timers in order until `until` ms, `isDone()` or nothing is left to wait for. */
+    advance: async (until, isDone) => {
+      for (;;) {
+        await drainMicrotasks();
+        if (isDone()) return;
+        const due = timers.reduce((first, timer) => (!first || timer.at < first.at ? timer : first), undefined);
+        if (!due || due.at > until) break;
+        timers = timers.filter(timer => timer !== due);
+        now = due.at;
+        due.fn();
+      }
+      if (until !== Infinity) now = until;
+    },
+  };
+};
+
+/**
+ * Driver used while seeking: animations complete on the virtual clock and,
+ * when stopped midway, leave the value where the easing curve was.
+ */
+const createSeekDriver = (driver, clock) => ({
+  read: driver.read,
+  set: driver.set,
+  animate: (target, animation, done) => {
+    const from = driver.read(target);
+    const to = animation.type === "decay"
+      ? from + animation.velocity / (1 - (animation.deceleration ?? 0.998))
+      : animation.toValue;
+    const duration = animation.type === "timing" ? animation.duration : 0; // physics settle instantly
+    const startedAt = clock.now();
+    const id = clock.setTimeout(() => {
+      driver.set(target, to);
+      done(true);
+    }, duration);
+    return {
+      stop: () => {
+        clock.clearTimeout(id);
+        const progress = duration > 0 ? Math.min(1, (clock.now() - startedAt) / duration) : 1;
+        driver.set(target, mixValues(from, to, (animation.easing ?? DEFAULT_EASING)(progress)));
+        done(false);
+      },
+    };
+  },
+});
+
+/**
+ * Create a headless interpreter for a compiled scenario. It owns the step
+ * index, the call state (`goto`/`resume` slot and `call`/`ret` return stack), the hold resolver and the stop flag, and talks to the
+ * outside world only through the injected driver, clock and haptics adapter,
+ * so the same scenario can run in React Native or in plain Node.
+ *
+ * The driver moves the values (see `createAnimatedDriver`, `createFakeDriver`
+ * and the `react-native-animation-scenario/reanimated` entry point):
+ * - `createValue(target, initialValue)` creates the value of a target, used by `useAnimationScenario`,
+ * - `read(target)` returns the current value of a target,
+ * - `set(target, value)` sets it immediately (throws for an unknown target),
+ * - `animate(target, animation, done)` starts an animation described as
+ *   `{type: "timing"|"spring"|"decay", native, ...options}`, calls
+ *   `done(finished)` when it ends and may return a handle with `stop()`,
+ * - `stop(target)` stops the animation of a target, used when `animate` returned no handle.
+ *
+ * `fork(block, id)` runs a block as a track next to the main flow, with its
+ * own step pointer; tracks share the values and variables. A track still
+ * running when the main flow ends keeps going until `cancel(id)`, a `stop()`
+ * step of the main flow, `stop()` or `reset()`.
+ *
+ * `stop()`, `reset()` and `dispose()` cancel the animations, timers, holds and
+ * async callbacks in flight, tracks included. Every callback is called as `fn(value, {signal})`,
+ * `value` being undefined for conditions, dynamic values and steps without value, and `signal` an
+ * `AbortSignal` aborted at that moment.
+ *
+ * @param {{steps: Array, labels: Object, scopedLabels?: Object, tracks?: Object}} compiled - Result of `compileScenario`.
+ * @param {Object} options
+ * @param {Object} options.driver - Value driver (see above).
+ * @param {{now: Function, setTimeout: Function, clearTimeout: Function}} [options.clock=systemClock]
+ * @param {{trigger: Function}} [options.haptics] - Haptic feedback adapter, see `createExpoHaptics()`.
+ * `trigger(feedback)` receives the style name or the pattern of the `vibrate()` step.
+ * @param {Object<string,Function>} [options.callbacks]
+ * @param {Object<string,number>} [options.initialValues] - Values restored by `reset()`.
+ * @param {boolean|Function} [options.loop=false] - Or a function returning it, read each time a run ends.
+ * @param {"once"|"always"} [options.vibrationMode="once"] - Policy of the `vibrate()` steps that don't set
+ * one: `"once"` vibrates the first time the step runs in a run, `"always"` every time.
+ * @param {"auto"|"manual"|Function} [options.mode="auto"] - Or a function returning it, read when it is used.
+ * @param {Object<string,*>} [options.vars] - Initial scenario variables, restored by `reset()`.
+ * @param {number} [options.maxCallDepth=32] - Maximum number of nested `call()` steps.
+ * @param {number} [options.speed=1] - Playback rate, e.g. 4 to run four times faster. See `setSpeed()`.
+ * @param {number} [options.historySize=50] - Number of manual steps `prevStep()` can go back.
+ * @param {number} [options.traceSize=0] - Number of executed steps kept by the trace recorder
+ * (see `exportTrace()`), 0 to disable it.
+ * @param {Function} [options.onStepIndexChange] - Called with the index of the running step (-1 after a reset).
+ * @param {Function} [options.onVarsChange] - Called with the new variables after each change.
+ * @param {Function} [options.onStepStart] - Called with `{step, index, label, block}` before a step runs.
+ * @param {Function} [options.onStepEnd] - Called with `{step, index, label, block}` once a step is done.
+ * @param {Function} [options.onLabel] - Called with `{step, index, label, block}` when a label is reached.
+ * @param {Function} [options.onLoop] - Called with `{iteration}` each time the `loop` option restarts the scenario.
+ * @param {Function} [options.onComplete] - Called with `{stopped}` when a run ends, `stopped` being true after `stop()`.
+ * @param {Function} [options.onError] - Called with `{error, step, index, label, block}` when a step throws,
+ * instead of rejecting the promise returned by `start()`/`nextStep()`.
+ */
+export const createScenarioRunner = ({ steps, labels, scopedLabels = {}, tracks: programs = {} }, {
+                                       driver,
+                                       clock = systemClock,
+                                       haptics = noHaptics,
+                                       callbacks = {},
+                                       initialValues = {},
+                                       loop = false,
+                                       vibrationMode = "once",
+                                       mode = "auto",
+                                       vars = {},
+                                       maxCallDepth = 32,
+                                       speed = 1,
+                                       historySize = 50,
+                                       traceSize = 0,
+                                       onStepIndexChange = () => {},
+                                       onVarsChange = () => {},
+                                       onStepStart,
+                                       onStepEnd,
+                                       onLabel,
+                                       onLoop,
+                                       onComplete,
+                                       onError,
+                                     } = {}) => {
+  if (!driver) {
+    throw new Error(`[createScenarioRunner] Missing required "driver" option.`);
+  }
+  if (typeof haptics?.trigger !== "function") {
+    throw new Error(`[createScenarioRunner] The "haptics" adapter needs a trigger(feedback) function.`);
+  }
+  const checkSpeed = (value) => {
+    if (typeof value !== "number" || !(value > 0) || value === Infinity) {
+      throw new Error(`[createScenarioRunner] speed must be a positive number, got ${JSON.stringify(value)}`);
+    }
+  };
+  checkSpeed(speed);
+
+  const loopPairs = matchLoops(steps);
+
+  // `loop` and `mode` can follow changing props of an adapter like useAnimationScenario
+  const isLooping = () => (typeof loop === "function" ? loop() : loop);
+  const isManual = () => (typeof mode === "function" ? mode() : mode) === "manual";
+
+  // Swapped for a virtual clock and driver while seeking
+  let activeClock = clock;
+  let activeDriver = driver;
+
+  /** Index of a top-level or qualified (`block.label`, `block#2.label`) label. */
+  const resolveLabel = (name) => labels[name] ?? scopedLabels[name];
+
+  // Steps run by the main flow, and by the tracks started with fork()
+  const mainProgram = { steps, loopPairs, resolveLabel };
+  const trackPrograms = {};
+  const getTrackProgram = (block) => {
+    if (!trackPrograms[block]) {
+      const program = programs[block];
+      if (!program) throw new Error(`[createScenarioRunner] Block '${block}' was not compiled for fork()`);
+      trackPrograms[block] = {
+        steps: program.steps,
+        loopPairs: matchLoops(program.steps),
+        resolveLabel: (name) => program.labels[name] ?? program.scopedLabels?.[name],
+      };
+    }
+    return trackPrograms[block];
+  };
+
+  const state = {
+    stepIndex: 0,
+    callingStepIndex: undefined,
+    returnStack: [], // return addresses pushed by call(), innermost last
+    loops: [], // one frame per active repeat/whileDo, innermost last
+    vars: { ...vars },
+    vibrated: new Set(), // vibrate() steps with the "once" policy already run
+    holdResolver: null,
+    shouldStop: false,
+    label: undefined, // last label reached
+    status: "idle",
+    paused: false,
+    statusBeforePause: undefined, // restored by resume()
+    currentIndex: -1, // running or last run step, -1 after a reset
+    iteration: 0, // restarts done by the `loop` option
+    seek: null, // {time} or {index} target while seeking
+    speed,
+  };
+
+  // Values and control state before each step run by nextStep(), for prevStep()
+  const history = [];
+
+  // Steps executed since the last reset, oldest first, for exportTrace()
+  const trace = { entries: [], dropped: 0 };
+
+  // Trace given to replayTrace(), with the entries left to replay by thread
+  let replay = null;
+
+  // Tracks started with fork(), by id. The main flow is `state` itself: both
+  // are "threads" with their own step pointer, call and loop state.
+  const tracks = new Map();
+
+  const listeners = new Set();
+  let snapshot;
+
+  // In-flight animations, timers, holds and async callbacks, canceled by stop()/reset()
+  // and paused by pause()
+  const pending = new Set();
+  let controller = new AbortController();
+
+  /**
+   * Wait for an in-flight operation. `begin(resolve, reject)` starts it and
+   * may return a function stopping it, or `{stop, pause, resume}` controls.
+   * When the run is canceled the operation is stopped and the promise rejects
+   * with an `AbortError`, so no code of the canceled step runs afterwards.
+   * Operations started while paused begin on `resume()`. `thread` is the
+   * main flow or the track waiting, so that `cancel(id)` only stops its own.
+   */
+  const track = (begin, thread = state) => new Promise((resolve, reject) => {
+    let control;
+    let settled = false;
+    const settle = (fn) => (value) => {
+      if (settled) return;
+      settled = true;
+      pending.delete(operation);
+      fn(value);
+    };
+    const start = () => {
+      const result = begin(settle(resolve), settle(reject));
+      control = typeof result === "function" ? { stop: result } : result ?? {};
+    };
+    const operation = {
+      thread,
+      abort: () => {
+        const error = new Error("[createScenarioRunner] Scenario canceled");
+        error.name = "AbortError";
+        settle(reject)(error);
+        control?.stop?.();
+      },
+      pause: () => control?.pause?.(),
+      resume: () => (control ? control.resume?.() : start()),
+      // Restart with the current speed, keeping the progress
+      rescale: () => {
+        if (!control?.pause || state.paused) return;
+        control.pause();
+        control.resume();
+      },
+    };
+    pending.add(operation);
+    if (!state.paused) start();
+  });
+
+  /** Wait for a value returned by a callback, cancelable when it's a promise. */
+  const settleValue = (value, thread = state) => (value instanceof Promise ? track((resolve, reject) => {
+    value.then(resolve, reject);
+  }, thread) : value);
+
+  /** Signal given to the callbacks run by a thread. */
+  const signalOf = (thread) => (thread === state ? controller : thread.controller).signal;
+
+  /** Cancel what a thread has in flight and abort its signal. A canceled track is over. */
+  const cancelThread = (thread) => {
+    [...pending].filter(operation => operation.thread === thread).forEach(operation => operation.abort());
+    if (thread === state) {
+      controller.abort();
+      controller = new AbortController();
+      return;
+    }
+    thread.controller.abort();
+    thread.shouldStop = true;
+    thread.holdResolver = null;
+    if (["running", "holding"].includes(thread.status)) thread.status = "stopped";
+  };
+
+  /** Cancel everything in flight, tracks included, and abort the signal given to async callbacks. */
+  const cancel = () => {
+    state.paused = false;
+    tracks.forEach(cancelThread);
+    cancelThread(state);
+  };
+
+  /** Notify `subscribe()` listeners with a fresh snapshot. */
+  const notify = () => {
+    snapshot = undefined;
+    const current = getSnapshot();
+    listeners.forEach(listener => listener(current));
+  };
+
+  /**
+   * Change the playback status and notify listeners. While paused, the new
+   * status is applied on `resume()`.
+   */
+  const setStatus = (status) => {
+    if (state.paused && status !== "paused") {
+      state.statusBeforePause = status;
+      return;
+    }
+    if (state.status === status) return;
+    state.status = status;
+    notify();
+  };
+
+  /** Call a lifecycle event handler, except while replaying steps for `seek()`. */
+  const emit = (handler, event) => {
+    if (handler && !state.seek) handler(event);
+  };
+
+  /**
+   * Payload of the step events. Block labels are qualified with their
+   * expansion, e.g. `intro#1.loop`. Steps run by a track carry its `track` id.
+   */
+  const stepEvent = (index, thread = state) => {
+    const step = (thread.program ?? mainProgram).steps[index];
+    return {
+      step,
+      index,
+      label: thread.label,
+      block: step?.__sourceBlock,
+      ...(thread === state ? {} : { track: thread.id }),
+    };
+  };
+
+  /**
+   * Evaluate a step value which can be a literal, a callback name or a function.
+   * Supports asynchronous callbacks and returns the resolved value.
+   */
+  const evalStepValue = async (stepValue, thread = state) => {
+    let result;
+    let fn;
+
+    if (typeof stepValue === "string" && callbacks[stepValue]) fn = callbacks[stepValue];
+    if (!fn && typeof stepValue === "function") fn = stepValue;
+    if (!fn) return stepValue;
+    const replayed = takeReplayed(thread, "value");
+    if (replayed) return replayed.value;
+    result = await settleValue(fn(undefined, { signal: signalOf(thread) }), thread);
+    recordInput(thread, "value", stepValue, result);
+    return result;
+  };
+
+  /** Evaluate an expression string against the scenario variables. */
+  const evalExpression = (source) => {
+    try {
+      return compileExpression(source).evaluate(state.vars);
+    } catch (e) {
+      throw new Error(`[createScenarioRunner] ${e.message} in "${source}"`);
+    }
+  };
+
+  /**
+   * Evaluate a step value like `evalStepValue`, except that strings which are
+   * not callback names are evaluated as expressions.
+   */
+  const evalStepExpression = async (stepValue, thread = state) => {
+    if (typeof stepValue === "string" && !callbacks[stepValue]) return evalExpression(stepValue);
+    return evalStepValue(stepValue, thread);
+  };
+
+  /**
+   * Evaluate the condition of a conditional step. Accepts a callback name,
+   * an expression or a function and resolves to the returned boolean value.
+   */
+  const evalStepCondition = async (stepCondition, thread = state) => {
+    let result = undefined;
+    const replayed = takeReplayed(thread, "condition");
+    if (replayed) return replayed.value;
+    const fn = typeof stepCondition === "string" ? callbacks[stepCondition] : stepCondition;
+    if (typeof stepCondition === "string" && !callbacks[stepCondition]) {
+      result = !!evalExpression(stepCondition);
+    } else if (fn && typeof fn === "function") {
+      result = await settleValue(fn(undefined, { signal: signalOf(thread) }), thread);
+    } else {
+      console.warn(`[createScenarioRunner] Missing condition function "${stepCondition}"`);
+    }
+    recordInput(thread, "condition", stepCondition, result);
+    return result;
+  };
+
+  /**
+   * Evaluate the target value of a `move` or `spring` step. Color strings are
+   * taken as is unless a callback or variable has that name, `{x, y}` pairs too.
+   */
+  const evalTargetValue = async (value, target, thread) => {
+    if (isColor(value) && !callbacks[value] && !(value in state.vars)) return value;
+    return evalHelper(await evalStepExpression(value, thread), target);
+  };
+
+  /**
+   * Apply relative increment/decrement helpers to compute the final target
+   * value of an animation step.
+   */
+  const evalHelper = (toValue, target, base = activeDriver.read(target)) => {
+    if (typeof toValue === "number") return toValue;
+    if (typeof toValue === "object" && toValue.type === "inc") return (base + toValue.value);
+    if (typeof toValue === "object" && toValue.type === "dec") return (base - toValue.value);
+    return toValue;
+  };
+
+  /**
+   * Duration multiplier of a step: its `timeScale()` factor (and the one of
+   * the `fork()` step of its track) over the playback speed.
+   */
+  const timeFactor = (step, thread = state) => (step.__timeScale ?? 1) * (thread.timeScale ?? 1) / (state.seek ? 1 : state.speed);
+
+  /**
+   * Run one driver animation and resolve once it ends. `remaining` is kept in
+   * scenario time, so pausing or changing the speed keeps the remaining time
+   * and curve.
+   */
+  const animate = (target, animation, step, thread = state) => track(resolve => {
+    let remaining = animation;
+    let current; // the running driver animation, stale `done` calls are ignored
+    let startedAt;
+    let runClock;
+    let factor;
+
+    const run = () => {
+      const token = {};
+      current = token;
+      runClock = activeClock;
+      factor = timeFactor(step, thread);
+      startedAt = runClock.now();
+      token.handle = activeDriver.animate(target, scaleAnimation(remaining, factor), () => {
+        if (current === token) resolve();
+      });
+    };
+    const halt = () => {
+      const token = current;
+      current = undefined;
+      if (!token) return;
+      if (token.handle?.stop) token.handle.stop();
+      else activeDriver.stop?.(target);
+    };
+
+    run();
+    return {
+      stop: halt,
+      pause: () => {
+        if (!current) return;
+        halt();
+        remaining = continueAnimation(remaining, (runClock.now() - startedAt) / factor);
+      },
+      resume: () => {
+        if (current) return;
+        if (remaining) run();
+        else resolve();
+      },
+    };
+  }, thread);
+
+  /**
+   * Run a `move`, `spring`, `decay` or `keyframes` step, resolving dynamic and
+   * relative values first. `scaled` is the step holding the `timeScale()`
+   * factor, the `parallel` step for its animations.
+   */
+  const runAnimation = async (step, scaled = step, thread = state) => {
+    switch (step.type) {
+      case "move": {
+        const toValue = await evalTargetValue(step.to, step.target, thread);
+        const duration = await evalStepValue(step.duration, thread);
+        return animate(step.target, {
+          type: "timing",
+          toValue,
+          duration,
+          easing: step.easing,
+          native: step.native,
+        }, scaled, thread);
+      }
+
+      case "spring": {
+        const { native, ...config } = step.config;
+        const toValue = await evalTargetValue(step.to, step.target, thread);
+        return animate(step.target, { ...config, type: "spring", toValue, native }, scaled, thread);
+      }
+
+      case "decay": {
+        const { native, ...config } = step.config;
+        const velocity = await evalStepValue(step.velocity, thread);
+        return animate(step.target, { ...config, type: "decay", velocity, native }, scaled, thread);
+      }
+
+      case "keyframes": {
+        let base = activeDriver.read(step.target);
+        for (const frame of step.frames) {
+          base = evalHelper(frame.value, step.target, base);
+          await animate(step.target, {
+            type: "timing",
+            toValue: base,
+            duration: frame.duration,
+            easing: frame.easing,
+            native: step.native,
+          }, scaled, thread);
+        }
+      }
+    }
+  };
+
+  /** Update a scenario variable and notify listeners. */
+  const writeVar = (name, value) => {
+    if (!(name in state.vars)) throw new Error(`[createScenarioRunner] Undeclared variable '${name}'`);
+    state.vars = { ...state.vars, [name]: value };
+    onVarsChange(state.vars);
+  };
+
+  /**
+   * Find the counter frame of the loop starting at `startIndex`. Frames above
+   * it belong to inner loops left by a jump and are discarded.
+   */
+  const findLoop = (startIndex, thread = state) => {
+    const position = thread.loops.findIndex(frame => frame.index === startIndex);
+    if (position === -1) return undefined;
+    thread.loops.length = position + 1;
+    return thread.loops[position];
+  };
+
+  /** Discard the frame of the loop starting at `startIndex` and its inner loops. */
+  const dropLoop = (startIndex, thread = state) => {
+    const position = thread.loops.findIndex(frame => frame.index === startIndex);
+    if (position !== -1) thread.loops.length = position;
+  };
+
+  /**
+   * Wait for `duration` ms of scenario time, scaled like the `scaled` step.
+   * Pausing or changing the speed keeps the remaining time.
+   */
+  const wait = (duration, scaled, thread = state) => track(resolve => {
+    let remaining = duration; // in scenario time
+    let id;
+    let startedAt;
+    let runClock;
+    let factor;
+    const run = () => {
+      runClock = activeClock;
+      factor = timeFactor(scaled, thread);
+      startedAt = runClock.now();
+      id = runClock.setTimeout(resolve, remaining * factor);
+    };
+    run();
+    return {
+      stop: () => runClock.clearTimeout(id),
+      pause: () => {
+        runClock.clearTimeout(id);
+        remaining = Math.max(0, remaining - (runClock.now() - startedAt) / factor);
+      },
+      resume: run,
+    };
+  }, thread);
+
+  /**
+   * Execute a single step of the main flow or of a track and update its step
+   * index accordingly. Returns "jumped" when the step results in a control flow jump.
+   */
+  const runStep = async (step, index, thread = state) => {
+    if (thread === state) {
+      onStepIndexChange(index);
+      state.currentIndex = index;
+    } else thread.currentIndex = index;
+    notify();
+    return runAction(step, index, thread);
+  };
+
+  /**
+   * Run what a step does. Steps nested in `parallel()`, `stagger()` and
+   * `sequence()` run here too, with the `index` of the enclosing step and its
+   * `timeScale()` factor through `scaled`.
+   */
+  const runAction = async (step, index, thread = state, scaled = step) => {
+    const { steps, loopPairs, resolveLabel } = thread.program ?? mainProgram;
+
+    switch (step.type) {
+      case "move":
+      case "spring":
+      case "decay":
+      case "keyframes": {
+        await runAnimation(step, scaled, thread);
+        break;
+      }
+
+      case "parallel": {
+        await Promise.all(step.targets.map(target => runAction(target, index, thread, scaled)));
+        break;
+      }
+
+      case "stagger": {
+        // Like Animated.stagger: each target starts `interval` ms after the previous one
+        const interval = await evalStepExpression(step.interval, thread);
+        await Promise.all(step.targets.map(async (target, i) => {
+          if (i > 0) await wait(interval * i, scaled, thread);
+          await runAction(target, index, thread, scaled);
+        }));
+        break;
+      }
+
+      case "sequence": {
+        for (const child of step.steps) await runAction(child, index, thread, scaled);
+        break;
+      }
+
+      case "delay": {
+        const duration = await evalStepExpression(step.duration, thread);
+        await wait(duration, scaled, thread);
+        break;
+      }
+
+      case "vibrate": {
+        if (state.seek) break; // no side effects while seeking
+        const policy = step.policy ?? vibrationMode;
+        if (policy === "once" && state.vibrated.has(step)) break;
+        if (policy === "once") state.vibrated = new Set(state.vibrated).add(step);
+        const feedback = step.style ?? "light";
+        await haptics.trigger(feedback);
+        break;
+      }
+
+      case "callback": {
+        // Sync functions (like () => setShowText(true)) to work fast
+        // Async functions (like () => await doSomething()) to pause animation until completion
+        const fn = callbacks[step.name];
+        if (state.seek) break;
+        if (fn) {
+          const result = fn(step.value, { signal: signalOf(thread) });  // might return a promise
+          recordInput(thread, "callback", step.name, await settleValue(result, thread)); // wait only if it's async
+        } else console.warn(`[createScenarioRunner] Callback "${step.name}" not found.`);
+        break;
+      }
+
+      case "hold": {
+        if (state.seek) break; // seeking passes holds
+        if (thread !== state) {
+          // A track waits for nextStep() too, without changing the playback status
+          thread.status = "holding";
+          notify();
+          await track(resolve => {
+            thread.holdResolver = resolve;
+          }, thread);
+          thread.status = "running";
+          break;
+        }
+        const status = state.status;
+        setStatus("holding");
+        await track(resolve => {
+          state.holdResolver = resolve;  // store it to resume later
+        });
+        if (state.status === "holding") setStatus(status);
+        break;
+      }
+
+      case "fork": {
+        startTrack(step, thread);
+        break;
+      }
+
+      case "join": {
+        const joined = tracks.get(step.id);
+        if (!joined) {
+          console.warn(`[createScenarioRunner] join(): no track '${step.id}' was started.`);
+          break;
+        }
+        await track(resolve => {
+          joined.done.then(resolve);
+        }, thread);
+        break;
+      }
+
+      case "cancel": {
+        const canceled = tracks.get(step.id);
+        if (canceled) cancelThread(canceled);
+        break;
+      }
+
+      case "goto": {
+        const targetLabel = step.label;
+        const targetIndex = resolveLabel(targetLabel);
+
+        if (targetIndex === undefined) throw new Error(`[createScenarioRunner] Label '${targetLabel}' not found`);
+        thread.callingStepIndex = index + 1;
+        thread.stepIndex = targetIndex;
+
+        if (debug) console.log(`goto step# ${targetIndex}`);
+        return "jumped";
+      }
+
+      case "call": {
+        const targetIndex = resolveLabel(step.label);
+        if (targetIndex === undefined) throw new Error(`[createScenarioRunner] Label '${step.label}' not found`);
+        if (thread.returnStack.length >= maxCallDepth) {
+          throw new Error(`[createScenarioRunner] Call stack overflow: more than ${maxCallDepth} nested calls (call '${step.label}' at step ${index})`);
+        }
+        thread.returnStack.push({ index: index + 1, label: step.label });
+        thread.stepIndex = targetIndex;
+
+        if (debug) console.log(`call step# ${targetIndex}, stack: ${thread.returnStack.map(f => f.label).join(" > ")}`);
+        return "jumped";
+      }
+
+      case "ret": {
+        const frame = thread.returnStack.pop();
+        if (frame) {
+          thread.stepIndex = frame.index;
+
+          if (debug) console.log(`ret to step# ${frame.index}, stack: ${thread.returnStack.map(f => f.label).join(" > ")}`);
+          return "jumped";
+        }
+        console.warn(`[createScenarioRunner] ret() called without previous call()`);
+        break;
+      }
+
+      case "timeScale": // applied at compile time, see `__timeScale`
+        break;
+
+      case "label":
+        thread.label = step.__scope ? `${step.__scope}.${step.label}` : step.label;
+        emit(onLabel, stepEvent(index, thread));
+        break;
+
+      case "set": {
+        let stepValue = await evalStepValue(step.value, thread);
+        activeDriver.set(step.target, stepValue);
+        break;
+      }
+
+      case "setVar": {
+        writeVar(step.name, await evalStepExpression(step.value, thread));
+        break;
+      }
+
+      case "incVar": {
+        const delta = await evalStepExpression(step.delta, thread);
+        if (typeof state.vars[step.name] !== "number" || typeof delta !== "number") {
+          throw new Error(`[createScenarioRunner] incVar requires numbers, got ${JSON.stringify(state.vars[step.name])} + ${JSON.stringify(delta)}`);
+        }
+        writeVar(step.name, state.vars[step.name] + delta);
+        break;
+      }
+
+      case "resume": {
+        if (thread.callingStepIndex !== undefined && thread.callingStepIndex !== null) {
+          const targetIndex = thread.callingStepIndex;
+          thread.callingStepIndex = undefined;
+          thread.stepIndex = targetIndex;
+
+          if (debug) console.log(`resume to step# ${targetIndex}`);
+          return "jumped";
+        } else {
+          console.warn(`[createScenarioRunner] resume() called without previous goto()`);
+        }
+        break;
+      }
+
+      case "stop": {
+        thread.shouldStop = true;
+        if (thread === state) tracks.forEach(cancelThread);
+        if (debug) console.log(thread === state ? "🛑 Scenario stopped by 'stop' step" : `🛑 Track '${thread.id}' stopped by 'stop' step`);
+        break;
+      }
+
+      case "ifJump": {
+        const result = await evalStepCondition(step.condition, thread);
+        if (result !== undefined) {
+          const targetLabel = result ? step.labelTrue : step.labelFalse;
+          if (targetLabel) {
+            const targetIndex = resolveLabel(targetLabel);
+            if (targetIndex === undefined) throw new Error(`[createScenarioRunner] Label '${targetLabel}' not found`);
+            thread.stepIndex = targetIndex;
+            return "jumped";
+          }
+        }
+        break;
+      }
+
+      case "ifThen": {
+        const result = await evalStepCondition(step.condition, thread);
+        if (result !== undefined && !result) {
+          thread.stepIndex = jumpTo(steps, index, "ifThen", ["ifElse", "ifEnd"]);
+          return "jumped";
+        }
+        break;
+      }
+
+      case "ifElse": {
+        thread.stepIndex = jumpTo(steps, index, "ifThen", ["ifEnd"]);
+        return "jumped";
+      }
+
+      case "ifEnd":
+        break;
+
+      case "repeat": {
+        const count = await evalStepExpression(step.count, thread);
+        dropLoop(index, thread);
+        if (!(count > 0)) {
+          thread.stepIndex = loopPairs[index] + 1;
+          return "jumped";
+        }
+        thread.loops.push({ index, count, iteration: 0 });
+        break;
+      }
+
+      case "endRepeat": {
+        const frame = findLoop(loopPairs[index], thread);
+        if (!frame) break;
+        frame.iteration++;
+        if (frame.iteration < frame.count) {
+          thread.stepIndex = frame.index + 1;
+          return "jumped";
+        }
+        dropLoop(frame.index, thread);
+        break;
+      }
+
+      case "whileDo": {
+        const result = await evalStepCondition(step.condition, thread);
+        const frame = findLoop(index, thread);
+        if (!result) {
+          dropLoop(index, thread);
+          thread.stepIndex = loopPairs[index] + 1;
+          return "jumped";
+        }
+        if (frame) frame.iteration++;
+        else thread.loops.push({ index, iteration: 0 });
+        break;
+      }
+
+      case "endWhile": {
+        thread.stepIndex = loopPairs[index];
+        return "jumped";
+      }
+
+      default:
+        console.warn(`[createScenarioRunner] Unknown step type "${step.type}"`);
+    }
+  };
+
+  /** Current value of every target, for the trace. */
+  const readTraceValues = () => Object.fromEntries(Object.keys(initialValues).map(key => [key, toTraceValue(activeDriver.read(key))]));
+
+  /**
+   * Open the trace entry of a step, and pick its recorded entry while
+   * replaying. A step other than the recorded one ends the replay of that thread.
+   */
+  const startTrace = (index, thread) => {
+    const step = (thread.program ?? mainProgram).steps[index];
+    const key = thread === state ? "" : thread.id;
+    thread.replayEntry = null;
+    if (replay?.queues.has(key)) {
+      const queue = replay.queues.get(key);
+      const expected = queue.shift();
+      if (expected?.index === index) thread.replayEntry = { inputs: expected.inputs, cursor: 0 };
+      else {
+        replay.queues.delete(key);
+        if (expected) console.warn(`[createScenarioRunner] Replay diverged at step ${index} (recorded: ${expected.index})${key ? ` in track '${key}'` : ""}, continuing live.`);
+      }
+    }
+    if (!(traceSize > 0)) return;
+    thread.traceEntry = {
+      index,
+      type: step.type,
+      label: step.type === "label" ? step.label : thread.label,
+      block: step.__sourceBlock,
+      track: thread === state ? undefined : thread.id,
+      seek: state.seek ? true : undefined,
+      start: clock.now(),
+      end: null,
+      inputs: [],
+      before: readTraceValues(),
+      after: null,
+    };
+    trace.entries.push(thread.traceEntry);
+    if (trace.entries.length > traceSize) {
+      trace.entries.shift();
+      trace.dropped++;
+    }
+  };
+
+  /** Close the trace entry of the step run by a thread. */
+  const endTrace = (thread, outcome) => {
+    const entry = thread.traceEntry;
+    thread.traceEntry = null;
+    thread.replayEntry = null;
+    if (!entry) return;
+    Object.assign(entry, outcome, { end: clock.now(), after: readTraceValues() });
+  };
+
+  /** Record a condition result, a callback result or a value returned by a callback in the trace. */
+  const recordInput = (thread, kind, source, value) => {
+    thread.traceEntry?.inputs.push({ kind, source: typeof source === "string" ? source : "function", value: toTraceValue(value) });
+  };
+
+  /** Recorded result standing for a live condition or value callback while replaying. */
+  const takeReplayed = (thread, kind) => {
+    const entry = thread.replayEntry;
+    if (!entry) return undefined;
+    while (entry.cursor < entry.inputs.length) {
+      const input = entry.inputs[entry.cursor++];
+      if (input.kind === kind) return input;
+    }
+    return undefined;
+  };
+
+  /**
+   * Run a step between the `onStepStart` and `onStepEnd` events. Errors are
+   * reported to `onError` when provided, and resolve to "failed". A failing
+   * track ends without stopping the main flow.
+   */
+  const executeStep = async (index, thread = state) => {
+    const signal = signalOf(thread);
+    const program = thread.program ?? mainProgram;
+    let result;
+    try {
+      if (state.seek) state.seek.steps++;
+      if (thread === state && state.seek?.index === index) { // seekToLabel() target reached
+        state.seek.reached = true;
+        pause();
+      }
+      if (state.paused) await track(resolve => resolve(), thread); // begins on resume()
+      emit(onStepStart, stepEvent(index, thread));
+      startTrace(index, thread);
+      result = await runStep(program.steps[index], index, thread);
+    } catch (error) {
+      endTrace(thread, signal.aborted ? { outcome: "canceled" } : { outcome: "failed", error: String(error?.message ?? error) });
+      if (signal.aborted) return "canceled";
+      if (thread !== state) {
+        thread.status = "failed";
+        notify();
+        if (onError) onError({ ...stepEvent(index, thread), error });
+        else console.error(`[createScenarioRunner] Track '${thread.id}' failed at step ${index}:`, error);
+        return "failed";
+      }
+      state.paused = false;
+      setStatus("stopped");
+      if (!onError) throw error;
+      onError({ ...stepEvent(index), error });
+      return "failed";
+    }
+    endTrace(thread, signal.aborted ? { outcome: "canceled" } : {});
+    if (signal.aborted) return "canceled";
+    notify();
+    emit(onStepEnd, stepEvent(index, thread));
+    return result;
+  };
+
+  /** Run a track until its last step, a `stop()` step or `cancel(id)`. */
+  const runTrack = async (thread) => {
+    const { steps } = thread.program;
+    while (thread.stepIndex < steps.length && !thread.shouldStop) {
+      const result = await executeStep(thread.stepIndex, thread);
+      if (result === "failed" || result === "canceled") return;
+      if (thread.shouldStop) break;
+      if (result === "jumped") continue;
+      thread.stepIndex++;
+    }
+    thread.status = thread.shouldStop ? "stopped" : "finished";
+    notify();
+  };
+
+  /**
+   * Start the block of a `fork()` step as a track with its own step pointer.
+   * A track still running with the same id is canceled first.
+   */
+  const startTrack = (step, parent) => {
+    const previous = tracks.get(step.id);
+    if (previous) cancelThread(previous);
+    const thread = {
+      id: step.id,
+      block: step.block,
+      program: getTrackProgram(step.block),
+      timeScale: (step.__timeScale ?? 1) * (parent.timeScale ?? 1),
+      stepIndex: 0,
+      callingStepIndex: undefined,
+      returnStack: [],
+      loops: [],
+      label: undefined,
+      holdResolver: null,
+      shouldStop: false,
+      status: "running",
+      currentIndex: -1,
+      controller: new AbortController(),
+    };
+    tracks.delete(step.id); // keep the start order
+    tracks.set(step.id, thread);
+    thread.done = runTrack(thread);
+    notify();
+  };
+
+  /**
+   * Automatically run the scenario from the beginning until completion or
+   * until stopped. Loops when the `loop` option is enabled.
+   */
+  const runAuto = async () => {
+
+    const run = async () => {
+      state.vibrated = new Set();
+      state.stepIndex = 0;
+      state.callingStepIndex = undefined;
+      state.returnStack = [];
+      state.loops = [];
+      state.label = undefined;
+
+      while (state.stepIndex < steps.length && !state.shouldStop) {
+        const currentIndex = state.stepIndex;
+        const result = await executeStep(currentIndex);
+        if (result === "failed") return false;
+        if (result === "canceled") return true;
+        if (state.shouldStop) break;
+        if (result === "jumped") continue;
+        state.stepIndex++;
+      }
+      return true;
+    };
+
+    state.shouldStop = false;
+    state.iteration = 0;
+    setStatus("running");
+    const { signal } = controller;
+    let completed = await run();
+    while (isLooping() && completed && !state.shouldStop && !signal.aborted) {
+      state.iteration++;
+      notify();
+      emit(onLoop, { iteration: state.iteration });
+      completed = await run();
+    }
+    if (!completed) return;
+    if (!signal.aborted) setStatus(state.shouldStop ? "stopped" : "finished");
+    emit(onComplete, { stopped: state.shouldStop || signal.aborted });
+  };
+
+  /** Start running the scenario unless manual mode is enabled. */
+  const start = () => {
+    if (!isManual()) return runAuto();
+  };
+
+  /**
+   * Reset step index and values to their initial state. Running animations,
+   * timers and holds are canceled.
+   */
+  const reset = () => {
+    if (debug) console.log('reset()');
+    cancel();
+    tracks.clear();
+    state.stepIndex = 0;
+    state.callingStepIndex = undefined;
+    state.returnStack = [];
+    state.loops = [];
+    state.vars = { ...vars };
+    onVarsChange(state.vars);
+    state.vibrated = new Set();
+    onStepIndexChange(-1);
+    state.holdResolver = undefined;
+    state.shouldStop = false;
+    state.label = undefined;
+    state.currentIndex = -1;
+    state.iteration = 0;
+    history.length = 0;
+    state.traceEntry = null;
+    state.replayEntry = null;
+    trace.entries = [];
+    trace.dropped = 0;
+    if (replay) replay.queues = replayQueues(replay.trace);
+
+    // 🧼 Reset each value to its initial state
+    Object.entries(initialValues).forEach(([key, val]) => activeDriver.set(key, val));
+    state.status = "idle";
+    notify();
+  };
+
+  /** Stop execution and reset state. */
+  const stop = () => {
+    reset();
+    if (debug) console.log('stop()');
+    state.shouldStop = true;
+    setStatus("stopped");
+  };
+
+  /**
+   * Manually advance to the next step. If a label (top-level or qualified) is
+   * provided the index jumps to it before executing.
+   */
+  const nextStep = async (targetLabel = undefined) => {
+
+    // Jump to the provided target
+    if (typeof targetLabel === "string") {
+      const targetIndex = resolveLabel(targetLabel);
+      if (targetIndex === undefined) throw new Error(`[createScenarioRunner] Label '${targetLabel}' not found`);
+      state.stepIndex = targetIndex;
+    }
+
+    // If paused on hold, resume it, along with the tracks holding
+    const holding = [state, ...tracks.values()].filter(thread => thread.holdResolver);
+    if (holding.length) {
+      holding.forEach(thread => {
+        const resume = thread.holdResolver;
+        thread.holdResolver = null;
+        resume(); // triggers continuation
+      });
+      return;
+    }
+
+    const step = steps[state.stepIndex];
+    if (!step) return;
+    if (state.shouldStop) return;
+    history.push(saveHistoryEntry());
+    if (history.length > historySize) history.shift();
+    setStatus("running");
+    const result = await executeStep(state.stepIndex);
+    if (result === "failed" || result === "canceled") return;
+    if (result !== "jumped") state.stepIndex++;
+    if ((state.paused ? state.statusBeforePause : state.status) !== "running") return; // stopped meanwhile
+    if (state.stepIndex >= steps.length) {
+      state.stepIndex = 0;
+      setStatus("finished");
+    } else setStatus("holding"); // waiting for the next nextStep()
+  };
+
+  /** Values and control state before the step at `state.stepIndex` runs. */
+  const saveHistoryEntry = () => ({
+    stepIndex: state.stepIndex,
+    currentIndex: state.currentIndex,
+    callingStepIndex: state.callingStepIndex,
+    returnStack: state.returnStack.map(frame => ({ ...frame })),
+    loops: state.loops.map(frame => ({ ...frame })),
+    vars: state.vars,
+    label: state.label,
+    vibrated: state.vibrated,
+    values: Object.fromEntries(Object.keys(initialValues).map(key => [key, activeDriver.read(key)])),
+  });
+
+  /**
+   * Go back to the previously executed step in manual mode, following the
+   * path actually taken through `goto`, `ifJump`, `ifThen`, loops and calls.
+   * Every ref and variable gets the value it had before that step, so the
+   * next `nextStep()` runs it again. A step in flight is canceled and undone
+   * first; a pending `hold()` is skipped over since it changes nothing.
+   * Tracks keep running, except the one started by an undone `fork()`.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=false] - Animate the refs back instead of setting them.
+   * @param {number} [options.duration=300] - Duration of that animation.
+   * @param {boolean} [options.native] - Native driver flag of that animation.
+   * @returns {Promise<boolean>} False when there is no history to go back to.
+   */
+  const prevStep = async ({ animate: animated = false, duration = 300, native } = {}) => {
+    if (state.shouldStop || !history.length) return false;
+    const inFlight = (state.paused ? state.statusBeforePause : state.status) === "running" || state.holdResolver;
+    if (state.holdResolver && history.length > 1) history.pop();
+    if (state.paused) resume();
+    if (inFlight) cancelThread(state);
+    state.holdResolver = null;
+    const entry = history.pop();
+
+    // Undoing a fork() also stops its track
+    const undone = steps[entry.stepIndex];
+    if (undone?.type === "fork" && tracks.has(undone.id)) {
+      cancelThread(tracks.get(undone.id));
+      tracks.delete(undone.id);
+    }
+
+    state.stepIndex = entry.stepIndex;
+    state.currentIndex = entry.currentIndex;
+    state.callingStepIndex = entry.callingStepIndex;
+    state.returnStack = entry.returnStack;
+    state.loops = entry.loops;
+    state.label = entry.label;
+    state.vibrated = entry.vibrated;
+    if (state.vars !== entry.vars) {
+      state.vars = entry.vars;
+      onVarsChange(state.vars);
+    }
+    onStepIndexChange(entry.currentIndex);
+
+    if (animated) {
+      setStatus("running");
+      try {
+        await Promise.all(Object.entries(entry.values)
+          .filter(([key, value]) => activeDriver.read(key) !== value)
+          .map(([key, value]) => animate(key, { type: "timing", toValue: value, duration, native }, {})));
+      } catch (error) {
+        if (error.name === "AbortError") return true;
+        throw error;
+      }
+    } else Object.entries(entry.values).forEach(([key, value]) => activeDriver.set(key, value));
+
+    state.status = entry.currentIndex === -1 ? "idle" : "holding";
+    notify();
+    return true;
+  };
+
+  /** Set a scenario variable from app code, e.g. a score updated by the UI. */
+  const setVar = (name, value) => writeVar(name, value);
+
+  /** Current scenario variables. */
+  const getVars = () => state.vars;
+
+  /** Snapshot of the internal state, useful for debugging and tests. */
+  const getState = () => ({
+    stepIndex: state.stepIndex,
+    callingStepIndex: state.callingStepIndex,
+    returnStack: state.returnStack.map(frame => ({ ...frame })),
+    loops: state.loops.map(frame => ({ ...frame })),
+    holding: !!state.holdResolver,
+    stopped: state.shouldStop,
+    status: state.status,
+    speed: state.speed,
+    tracks: [...tracks.values()].map(thread => ({
+      id: thread.id,
+      block: thread.block,
+      status: thread.status,
+      stepIndex: thread.stepIndex,
+      callingStepIndex: thread.callingStepIndex,
+      returnStack: thread.returnStack.map(frame => ({ ...frame })),
+      loops: thread.loops.map(frame => ({ ...frame })),
+      holding: !!thread.holdResolver,
+    })),
+  });
+
+  /**
+   * Playback state for UIs: `status` is `"idle"`, `"running"`, `"holding"`
+   * (waiting for `nextStep()`), `"paused"`, `"finished"` or `"stopped"`. The
+   * same object is returned until something changes.
+   *
+   * `speed` is the playback rate, `canGoBack` tells whether `prevStep()` has a step to go back to, `tracks`
+   * lists the tracks started with `fork()` (status `"running"`, `"holding"`,
+   * `"finished"`, `"stopped"` or `"failed"`) until the next `reset()`.
+   *
+   * @returns {{status: string, stepIndex: number, currentStep: Object|undefined, currentLabel: string|undefined, iteration: number, speed: number, returnStack: Array<Object>, canGoBack: boolean, tracks: Array<Object>}}
+   */
+  function getSnapshot() {
+    if (!snapshot) {
+      snapshot = Object.freeze({
+        status: state.status,
+        stepIndex: state.currentIndex,
+        currentStep: steps[state.currentIndex],
+        currentLabel: state.label,
+        iteration: state.iteration,
+        speed: state.speed,
+        returnStack: Object.freeze(state.returnStack.map(frame => Object.freeze({ ...frame }))),
+        canGoBack: history.length > 0,
+        tracks: Object.freeze([...tracks.values()].map(thread => Object.freeze({
+          id: thread.id,
+          block: thread.block,
+          status: thread.status,
+          stepIndex: thread.currentIndex,
+          currentStep: thread.program.steps[thread.currentIndex],
+        }))),
+      });
+    }
+    return snapshot;
+  }
+
+  /**
+   * Listen to playback state changes, for non-React consumers.
+   *
+   * @param {function(Object): void} listener - Called with the new `getSnapshot()`.
+   * @returns {Function} Unsubscribe function.
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Freeze the scenario where it is: running animations stop and remember
+   * their remaining time and curve, `delay` timers are suspended, and no new
+   * step starts until `resume()`. Async callbacks keep running.
+   */
+  const pause = () => {
+    if (state.paused || !["running", "holding"].includes(state.status)) return;
+    state.statusBeforePause = state.status;
+    setStatus("paused");
+    state.paused = true;
+    pending.forEach(operation => operation.pause());
+  };
+
+  /** Continue a paused scenario from the same spot. */
+  const resume = () => {
+    if (!state.paused) return;
+    state.paused = false;
+    setStatus(state.statusBeforePause);
+    [...pending].forEach(operation => operation.resume());
+  };
+
+  /**
+   * Change the playback rate, including for the animations and delays in
+   * flight which continue from where they are.
+   *
+   * @param {number} value - e.g. 4 for 4x, 0.5 for half speed.
+   */
+  const setSpeed = (value) => {
+    checkSpeed(value);
+    if (value === state.speed) return;
+    state.speed = value;
+    [...pending].forEach(operation => operation.rescale());
+    notify();
+  };
+
+  /**
+   * Replay the scenario from the start in zero time up to `target`, then
+   * leave it paused there, or playing if it was playing. When the target is
+   * not reached within `SEEK_STEP_BUDGET` steps, or the label before the end,
+   * the scenario is reset and the promise rejects.
+   */
+  const seekTo = async (target) => {
+    if (isManual()) throw new Error(`[createScenarioRunner] seek() is not available in manual mode`);
+    const wasPlaying = !state.paused && ["running", "holding"].includes(state.status); // paused, e.g. by a previous seek, stays paused
+    reset();
+
+    const virtualClock = createVirtualClock();
+    activeClock = virtualClock;
+    activeDriver = createSeekDriver(driver, virtualClock);
+    state.seek = { ...target, steps: 0 };
+    let failure;
+    runAuto().catch(error => { failure = error; }); // without onError, a failing step rejects the seek
+    let overBudget;
+    let reached;
+    try {
+      await virtualClock.advance(target.time ?? Infinity, () => (
+        failure || state.paused || state.status !== "running" || state.seek.steps > SEEK_STEP_BUDGET
+      ));
+      overBudget = state.seek.steps > SEEK_STEP_BUDGET;
+      reached = !failure && !overBudget && (target.index === undefined || state.seek.reached);
+      if (reached) pause(); // freezes the steps in flight at the target time
+    } finally {
+      state.seek = null;
+      activeClock = clock;
+      activeDriver = driver;
+    }
+    if (failure) throw failure;
+    if (!reached) {
+      reset();
+      const what = target.index === undefined ? `${target.time} ms` : `label '${target.label}'`;
+      throw new Error(`[createScenarioRunner] seek(): ${what} not reached${overBudget ? ` within ${SEEK_STEP_BUDGET} steps` : ""}`);
+    }
+    if (wasPlaying) resume();
+  };
+
+  /**
+   * Jump to `ms` milliseconds from the start. Steps are replayed in zero time
+   * so every value is where it would be: `set`, `setVar`, end values of
+   * finished animations and the eased value of the running ones. Conditions
+   * are evaluated with their current values, holds are passed and callback
+   * steps are skipped. Playback then continues from there if it was running,
+   * otherwise the scenario is paused until `resume()`.
+   *
+   * @param {number} ms
+   * @returns {Promise<void>} Resolves once the values are set, rejects when a
+   * step fails without `onError` or `ms` is not reached within 10000 steps.
+   */
+  const seek = (ms) => seekTo({ time: ms });
+
+  /**
+   * Like `seek()`, up to the first time the label (top-level or qualified) is
+   * reached. Rejects with "label not reached" when the scenario ends or loops
+   * 10000 steps without reaching it.
+   *
+   * @param {string} label
+   * @returns {Promise<void>}
+   */
+  const seekToLabel = (label) => {
+    const index = resolveLabel(label);
+    if (index === undefined) return Promise.reject(new Error(`[createScenarioRunner] Label '${label}' not found`));
+    return seekTo({ index, label });
+  };
+
+  /**
+   * Steps executed since the last reset, as JSON: index, type, last label,
+   * source block, track, start and end times (`end` is null while the step
+   * runs, e.g. a hold never released), condition and callback results in
+   * `inputs`, and the values `before` and `after` the step. Requires `traceSize`.
+   *
+   * @returns {{version: number, stepCount: number, dropped: number, steps: Array<Object>}}
+   */
+  const exportTrace = () => JSON.parse(JSON.stringify({
+    version: TRACE_VERSION,
+    stepCount: steps.length,
+    dropped: trace.dropped,
+    steps: trace.entries,
+  }));
+
+  /**
+   * Reset and run the scenario again (in manual mode, wait for `nextStep()`)
+   * with the conditions and value callbacks answered from a trace of
+   * `exportTrace()`, so that the recorded path is taken. Callback steps still
+   * run for their side effects. When a step differs from the recorded one,
+   * its thread continues live. `replayTrace(null)` stops replaying.
+   *
+   * @param {Object|null} recorded - Result of `exportTrace()`.
+   * @returns {Promise<void>|undefined} The run, like `start()`.
+   */
+  const replayTrace = (recorded) => {
+    if (recorded === null) {
+      replay = null;
+      return undefined;
+    }
+    const problems = [];
+    if (recorded?.version !== TRACE_VERSION) problems.push(`unsupported trace version ${JSON.stringify(recorded?.version)}`);
+    else {
+      if (recorded.dropped > 0) problems.push(`its first ${recorded.dropped} steps were dropped, increase traceSize`);
+      if (recorded.stepCount !== steps.length) problems.push(`it was recorded on a scenario of ${recorded.stepCount} steps, not ${steps.length}`);
+    }
+    if (problems.length) {
+      throw new Error(`[createScenarioRunner] Trace replay failed:\n${problems.map(e => `• ${e}`).join("\n")}`);
+    }
+    replay = { trace: recorded, queues: null };
+    reset();
+    return start();
+  };
+
+  /**
+   * Cancel the running scenario without touching the values, e.g. when the
+   * component unmounts. The runner can still be started again.
+   */
+  const dispose = () => {
+    cancel();
+    state.holdResolver = undefined;
+    if (state.status !== "idle") setStatus("stopped");
+  };
+
+  return { steps, labels, start, stop, reset, nextStep, prevStep, setVar, getVars, getState, getSnapshot, subscribe, dispose, pause, resume, seek, seekToLabel, setSpeed, exportTrace, replayTrace };
+};
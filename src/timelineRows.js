@@ -0,0 +1,65 @@
+/*
+Rows shown by `TimelineView`, one per compiled step:
+
+const rows = buildTimelineRows(compiled, estimateTimeline(compiled));
+rows[4];  // { index: 4, type: "goto", title: "goto → intro", depth: 1, block: "glow", jumps: [0], ... }
+ */
+
+/** Steps opening an indented body, and the steps closing it. */
+const OPENERS = ["ifThen", "repeat", "whileDo"];
+const CLOSERS = ["ifEnd", "endRepeat", "endWhile"];
+
+/** Title of a step: its label, jump targets or comment. */
+const getTitle = (step, index) => {
+  switch (step.type) {
+    case "comment":
+      return step.comment ?? "comment";
+    case "goto":
+    case "call":
+      return `${step.type} → ${step.label}`;
+    case "ifJump":
+      return `ifJump → ${step.labelTrue}${step.labelFalse ? ` / ${step.labelFalse}` : ""}`;
+    case "fork":
+      return `fork → ${step.block}`;
+    default:
+      return step.label || step.name || `${step.type}-${index}`;
+  }
+};
+
+/**
+ * Describe each step of a compiled program for display:
+ * - `title`, `type` and `block` (the `use()`d block it comes from, if any),
+ * - `depth`, the nesting level in `ifThen()`, `repeat()` and `whileDo()` bodies,
+ * - `jumps`, the indexes a `goto`, `call` or `ifJump` step can jump to,
+ * - `label`, the name to pass to `nextStep()` for a label, qualified in a block,
+ * - `start` and `duration` ranges from `estimateTimeline`, `start` being null when unreachable.
+ *
+ * @param {{steps: Array, labels: Object, scopedLabels?: Object}} compiled - A compiled scenario or track.
+ * @param {{steps: Array, durations: Array}} timeline - Result of `estimateTimeline(compiled)`.
+ * @returns {Array<Object>}
+ */
+export const buildTimelineRows = ({ steps, labels, scopedLabels = {} }, timeline) => {
+  const resolveLabel = (name) => labels[name] ?? scopedLabels[name];
+  let depth = 0;
+
+  return steps.map((step, index) => {
+    if (CLOSERS.includes(step.type)) depth = Math.max(0, depth - 1);
+    const rowDepth = step.type === "ifElse" ? Math.max(0, depth - 1) : depth;
+    if (OPENERS.includes(step.type)) depth++;
+
+    const targets = step.type === "ifJump" ? [step.labelTrue, step.labelFalse]
+      : step.type === "goto" || step.type === "call" ? [step.label]
+      : [];
+    return {
+      index,
+      type: step.type,
+      title: getTitle(step, index),
+      depth: rowDepth,
+      block: step.__sourceBlock,
+      jumps: targets.map(resolveLabel).filter(target => target !== undefined),
+      label: step.type === "label" ? (step.__scope ? `${step.__scope}.${step.label}` : step.label) : undefined,
+      start: timeline.steps[index]?.start ?? null,
+      duration: timeline.durations[index],
+    };
+  });
+};
@@ -1,382 +1,355 @@
-import {useRef, useState, useCallback, useEffect} from "react";
-import { Animated } from "react-native";
-import * as Haptics from "expo-haptics";
+import {useRef, useState, useCallback, useEffect, useMemo} from "react";
 import { compileScenario } from "./compileScenario.js";
+import { analyzeScenario } from "./analyzeScenario.js";
+import { estimateTimeline } from "./estimateTimeline.js";
+import { createScenarioRunner } from "./scenarioRunner.js";
+import { createAnimatedDriver } from "./drivers/animatedDriver.js";
+import { noHaptics } from "./haptics.js";
+import { buildTimelineRows } from "./timelineRows.js";
+import { getEasingName } from "./easing.js";
 import { TimelineView as Timeline } from "./TimelineView";
 
 const debug = false;
 
 /**
- * Run and control an animation scenario.
+ * Whether two scenario inputs have the same content, so that a scenario
+ * defined during render doesn't restart the runner. Named easings compare by
+ * name, other functions by identity: an inline condition closes over the
+ * values of its render.
+ */
+const sameContent = (a, b) => {
+  if (a === b) return true;
+  if (typeof a === "function" && typeof b === "function") {
+    const name = getEasingName(a);
+    return !!name && name === getEasingName(b);
+  }
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return Number.isNaN(a) && Number.isNaN(b);
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameContent(a[key], b[key]));
+};
+
+/**
+ * `TimelineView` bound to the runner of a hook. Created once per hook so
+ * that its type stays the same across renders and its bars keep their
+ * progress; the rows and the tap handler are read from `dataRef`.
+ */
+const createBoundTimeline = (dataRef) => (props) => {
+  const { runner, rows, trackRows, onStepPress } = dataRef.current;
+  const [playback, setPlayback] = useState(runner.getSnapshot());
+  useEffect(() => {
+    setPlayback(runner.getSnapshot()); // changes between render and subscription
+    return runner.subscribe(setPlayback);
+  }, [runner]);
+  return (
+    <Timeline
+      rows={rows}
+      currentStepIndex={playback.stepIndex}
+      status={playback.status}
+      speed={playback.speed}
+      tracks={playback.tracks}
+      trackRows={trackRows}
+      onStepPress={onStepPress}
+      {...props}
+    />
+  );
+};
+
+/** Lifecycle events forwarded to the runner. */
+const RUNNER_EVENTS = ["onStepStart", "onStepEnd", "onLabel", "onLoop", "onComplete"];
+
+/**
+ * Run and control an animation scenario. Thin React adapter over
+ * `createScenarioRunner` driving `Animated` values, or the values of another driver.
  *
  * @param {Object} params
- * @param {Array} params.scenario - Scenario definition created with helpers.
- * @param {Object<string,number>} params.initialValues - Animated value map.
+ * @param {Array} params.scenario - Scenario definition created with helpers. It can be defined during
+ * render: the runner is only recreated when its content changes. Functions other than named easings
+ * compare by identity, define them outside the component or memoize them to keep the runner.
+ * @param {Object<string,number|string|Object>} params.initialValues - Animated value map: numbers, color
+ * strings (`Animated.Color`) or `{x, y}` pairs (`Animated.ValueXY`). A change of content recreates the values
+ * and `refs`, like a change of `derived`.
+ * @param {Object<string,Object>} [params.derived] - Named interpolations returned in `refs`:
+ * `{from, inputRange, outputRange, extrapolate}`, outputs being numbers or colors.
+ * @param {Function} [params.driver=createAnimatedDriver] - Driver factory creating the values in `refs`
+ * and running the animations, e.g. `createReanimatedDriver` for Reanimated shared values.
  * @param {Object<string,Array>} [params.blocks]
- * @param {Object<string,Function>} [params.callbacks]
- * @param {boolean} [params.loop=false]
- * @param {"once"|"always"} [params.vibrationMode="once"]
- * @param {"auto"|"manual"} [params.mode="auto"]
+ * @param {Object<string,Function>} [params.callbacks] - The latest callbacks are always used.
+ * @param {boolean} [params.loop=false] - Read when a run ends, it can change while running.
+ * @param {{trigger: Function}} [params.haptics] - Adapter of the `vibrate()` steps, e.g.
+ * `createExpoHaptics(Haptics)` or `createVibrationHaptics(Vibration)`. Silent when omitted.
+ * @param {"once"|"always"} [params.vibrationMode="once"] - Policy of the `vibrate()` steps that don't set one.
+ * @param {"auto"|"manual"} [params.mode="auto"] - Read when used, like `loop`.
+ * @param {Object<string,*>} [params.vars] - Initial scenario variables for `setVar`/`incVar` and expressions.
+ * @param {number} [params.maxCallDepth=32] - Maximum number of nested `call()` steps.
+ * @param {number} [params.speed=1] - Playback rate, e.g. 4 for 4x. Changes apply to the running animation too.
+ * @param {number} [params.historySize=50] - Number of manual steps `prevStep()` can go back.
+ * @param {number} [params.traceSize=0] - Number of executed steps kept for `exportTrace()`, 0 to disable tracing.
+ * @param {boolean} [params.strict=false] - Turn flow analysis warnings (unreachable steps...) into errors.
+ * @param {Function} [params.onStepStart] - Lifecycle events, see `createScenarioRunner`. The latest
+ * handlers are always used, they don't need to be memoized.
+ * @param {Function} [params.onStepEnd]
+ * @param {Function} [params.onLabel]
+ * @param {Function} [params.onLoop]
+ * @param {Function} [params.onComplete]
+ * @param {Function} [params.onError]
  */
 export const useAnimationScenario = ({
                                        scenario,
                                        initialValues,
+                                       derived = {},
+                                       driver: createDriver = createAnimatedDriver,
                                        blocks = {},
                                        callbacks = {},
                                        loop = false,
+                                       haptics = noHaptics,
                                        vibrationMode = "once",
                                        mode = "auto", // "auto" or "manual"
+                                       vars = {},
+                                       maxCallDepth = 32,
+                                       speed = 1,
+                                       historySize = 50,
+                                       traceSize = 0,
+                                       strict = false,
+                                       ...events
                                      }) => {
   if (!initialValues) {
     throw new Error(`[useAnimationScenario] Missing required "initialValues" parameter.`);
   }
 
-  // Compile once
-  const { steps, labels } = compileScenario(scenario, {
-    blocks,
-    initialValues,
-    callbacks,
-  });
+  // Version of the compiled inputs, bumped when their content changes
+  const contentRef = useRef(null);
+  const content = { scenario, blocks, initialValues, vars, derived, callbackNames: Object.keys(callbacks).sort() };
+  if (!contentRef.current || !sameContent(contentRef.current.content, content)) {
+    contentRef.current = { content, version: (contentRef.current?.version ?? 0) + 1 };
+  }
+  const version = contentRef.current.version;
+
+  // Compile, analyze and estimate once per scenario content
+  const { compiled, warnings, timeline, timelineRows, trackRows } = useMemo(() => {
+    const result = compileScenario(scenario, {
+      blocks,
+      initialValues,
+      callbacks,
+      vars,
+      derived,
+    });
+    const analysis = analyzeScenario(result, { blocks, callbacks, strict });
+    const estimate = estimateTimeline(result, { callbacks });
+    return {
+      compiled: result,
+      warnings: [...result.warnings, ...analysis.warnings],
+      timeline: estimate,
+      timelineRows: buildTimelineRows(result, estimate),
+      trackRows: Object.fromEntries(Object.entries(result.tracks).map(([block, program]) => (
+        [block, buildTimelineRows(program, estimateTimeline(program, { callbacks }))]
+      ))),
+    };
+  }, [version, strict]);
+  const { steps } = compiled;
 
   useEffect(() => {
+    warnings.forEach(warning => console.warn(`[useAnimationScenario] ${warning}`));
     if(debug) {
       console.log("----")
       console.log("*** scenario ***\n" + JSON.stringify(scenario));
       console.log("*** raw scenario\n" + JSON.stringify(steps));
       console.log("----")
     }
-  }, [debug]);
-
-  // ✅ Create refs from initialValues
-  const animatedRefs = useRef(
-    Object.fromEntries(
-      Object.entries(initialValues).map(([key, val]) => [key, new Animated.Value(val)])
-    )
-  );
+  }, [warnings]);
+
+  // ✅ Driver and its values created from initialValues: Animated.Value, Animated.Color or Animated.ValueXY by default.
+  // Recreated with the refs returned to the component when initialValues or derived change.
+  const valuesRef = useRef(null);
+  const valuesSource = { initialValues, derived };
+  if (!valuesRef.current || !sameContent(valuesRef.current.source, valuesSource)) {
+    const created = createDriver();
+    if (Object.keys(derived).length && !created.interpolate) {
+      throw new Error(`[useAnimationScenario] This driver does not support "derived", interpolate the values where they are used.`);
+    }
+    const values = Object.fromEntries(
+      Object.entries(initialValues).map(([key, val]) => [key, created.createValue(key, val)])
+    );
+    valuesRef.current = {
+      source: valuesSource,
+      driver: created,
+      // Refs returned to the component, with the derived interpolations
+      refs: {
+        ...values,
+        ...Object.fromEntries(Object.entries(derived).map(([name, { from, ...config }]) => (
+          [name, created.interpolate(from, config)]
+        ))),
+      },
+    };
+  }
+  const { driver, refs } = valuesRef.current;
 
   const [currentStepIndex, setCurrentStepIndex] = useState(-1);
-  const stepIndexRef = useRef(0);
-  const callingStepIndexRef = useRef();
-  const vibrationTriggered = useRef(false);
-  const holdResolver = useRef(null);
-  const shouldStop = useRef(false);
-
-  const stepLabels = steps.map((s, i) => s.label || s.name || `${s.type}-${i}`);
+  const [currentVars, setCurrentVars] = useState(vars);
+
+  // Latest event handlers, callbacks and options, read when they are used
+  const eventsRef = useRef(events);
+  eventsRef.current = events;
+  const callbacksRef = useRef(callbacks);
+  callbacksRef.current = callbacks;
+  const loopRef = useRef(loop);
+  loopRef.current = loop;
+  const modeRef = useRef(mode);
+  modeRef.current = mode;
+
+  /** Send a step error to `onError`, or to the console without handler. */
+  const reportError = (event) => {
+    if (eventsRef.current.onError) eventsRef.current.onError(event);
+    else console.error(`[useAnimationScenario] Step ${event.index} (${event.step?.type}) failed:`, event.error);
+  };
 
-  /**
-   * Evaluate a step value which can be a literal, a callback name or a function.
-   * Supports asynchronous callbacks and returns the resolved value.
-   */
-  const evalStepValue = async (stepValue) => {
-    let result;
-    let fn;
-
-    if (typeof stepValue === "string" && callbacks[stepValue]) fn = callbacks[stepValue];
-    if (!fn && typeof stepValue === "function") fn = stepValue;
-    if (fn) {
-      result = fn();
-      if (result instanceof Promise) result = await result;
-    } else result = stepValue;
-    return result;
+  // ✅ Headless runner driving the Animated values, recreated when the scenario content changes
+  const runnerRef = useRef(null);
+  const runnerVersionRef = useRef(0);
+  if (!runnerRef.current || runnerVersionRef.current !== version) {
+    runnerRef.current = createScenarioRunner(compiled, {
+      driver,
+      haptics,
+      callbacks: new Proxy({}, { get: (target, name) => callbacksRef.current[name] }),
+      initialValues,
+      loop: () => loopRef.current,
+      vibrationMode,
+      mode: () => modeRef.current,
+      vars,
+      maxCallDepth,
+      speed,
+      historySize,
+      traceSize,
+      onStepIndexChange: setCurrentStepIndex,
+      onVarsChange: setCurrentVars,
+      ...Object.fromEntries(RUNNER_EVENTS.map(name => [name, (event) => eventsRef.current[name]?.(event)])),
+      onError: reportError,
+    });
+    runnerVersionRef.current = version;
   }
+  const runner = runnerRef.current;
 
-  /**
-   * Evaluate the condition of a conditional step. Accepts a callback name or
-   * function and resolves to the returned boolean value.
-   */
-  const evalStepCondition = async (stepCondition) => {
-    let result = undefined;
-    const fn = typeof stepCondition === "string" ? callbacks[stepCondition] : stepCondition;
-    if (fn && typeof fn === "function") {
-      result = fn();
-      if (result instanceof Promise) result = await result;
-    } else {
-      console.warn(`[useAnimationScenario] Missing condition function "${stepCondition}"`);
-    }
-    return result;
-  }
+  // Follow the `speed` prop
+  useEffect(() => {
+    runner.setSpeed(speed);
+  }, [runner, speed]);
 
-  /**
-   * Apply relative increment/decrement helpers to compute the final target
-   * value for a move step.
-   */
-  const evalHelper = (toValue, target) => {
-    if (typeof toValue === "number") return toValue;
-    if (typeof toValue === "object" && toValue.type === "inc") return (animatedRefs.current[target].__getValue() + toValue.value);
-    if (typeof toValue === "object" && toValue.type === "dec") return (animatedRefs.current[target].__getValue() - toValue.value);
-    return toValue;
-  };
+  // Cancel in-flight animations, timers and holds on unmount and scenario change
+  useEffect(() => () => runner.dispose(), [runner]);
 
-  /**
-   * Jump from `startIndex` to the matching end of a control block.
-   * Used by conditional helpers like `ifThen`.
-   */
-  const jumpTo = (steps, startIndex, startType, endTypes) => {
-    let depth = 0;
-    for (let i = startIndex + 1; i < steps.length; i++) {
-      const s = steps[i];
-      if (s.type === startType) depth++;
-      else if (s.type === endTypes.slice(-1)[0] && depth > 0) depth--;
-      else if (endTypes.includes(s.type) && depth === 0) {
-        return i + 1;
-      }
-    }
-    return steps.length; // fallback: jump to end if not found
+  // Playback state (status, current step and label...), re-rendered on change
+  const [playback, setPlayback] = useState(runner.getSnapshot());
+  useEffect(() => {
+    setPlayback(runner.getSnapshot()); // changes between render and subscription
+    return runner.subscribe(setPlayback);
+  }, [runner]);
+
+  // Estimated offsets, e.g. to show "0:12 / 0:40" with formatDuration()
+  const progress = {
+    elapsed: timeline.steps[currentStepIndex]?.start ?? { min: 0, max: 0 },
+    total: timeline.total,
   };
 
+  /** Start running the scenario unless manual mode is enabled. */
+  const start = useCallback(() => {
+    runner.start();
+  }, [runner]);
 
-  /**
-   * Execute a single step and update the step index accordingly.
-   * Returns "jumped" when the step results in a control flow jump.
-   */
-  const runStep = useCallback(async (step, index) => {
-    setCurrentStepIndex(index);
-
-    switch (step.type) {
-      case "move": {
-        let toValue = evalHelper(await evalStepValue(step.to), step.target);
-        await new Promise(res =>
-          Animated.timing(animatedRefs.current[step.target], {
-            toValue,
-            duration: step.duration,
-            useNativeDriver: step.native !== false,
-            easing: step.easing,
-          }).start(() => res())
-        );
-        break;
-      }
-
-
-      case "parallel": {
-        const animations = await Promise.all(
-          step.targets.map(async t => {
-            let toValue = evalHelper(await evalStepValue(t.to), t.target);
-            return Animated.timing(animatedRefs.current[t.target], {
-              toValue,
-              duration: t.duration,
-              useNativeDriver: t.native !== false,
-              easing: t.easing,
-            });
-          })
-        );
-
-        await new Promise(res =>
-          Animated.parallel(animations).start(() => res())
-        );
-        break;
-      }
-
-      case "delay": {
-        let duration = await evalStepValue(step.duration);
-        await new Promise(res => setTimeout(res, duration));
-        break;
-      }
-
-      case "vibrate": {
-        if (
-          (vibrationMode === "once" && !vibrationTriggered.current) ||
-          vibrationMode === "always"
-        ) {
-          await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-          if (vibrationMode === "once") vibrationTriggered.current = true;
-        }
-        break;
-      }
-
-      case "callback": {
-        // Sync functions (like () => setShowText(true)) to work fast
-        // Async functions (like () => await doSomething()) to pause animation until completion
-        const fn = callbacks[step.name];
-        if (fn) {
-          const result = step.hasOwnProperty("value") ? fn(step.value) : fn();  // might return a promise
-          if (result instanceof Promise) await result; // wait only if it's async
-        } else console.warn(`[useAnimationScenario] Callback "${step.name}" not found.`);
-        break;
-      }
-
-      case "hold": {
-        await new Promise(resolve => {
-          holdResolver.current = resolve;  // store it to resume later
-        });
-        break;
-      }
-
-      // note:  goto() only jump to global labels
-      case "goto": {
-        const targetLabel = step.label;
-        const targetIndex = labels[targetLabel];
-
-        if (targetIndex === undefined) throw new Error(`[useAnimationScenario] Label '${targetLabel}' not found`);
-        callingStepIndexRef.current = index+1;
-        stepIndexRef.current = targetIndex;
-
-        if (debug) console.log(`goto step# ${targetIndex}`);
-        return "jumped";
-      }
-
-      case "label":
-        break;
-
-      case "set": {
-        let stepValue = await evalStepValue(step.value);
-        const ref = animatedRefs.current[step.target];
-        if (!ref) throw new Error(`Unknown ref: ${step.target}`);
-        ref.setValue(stepValue);
-        break;
-      }
-
-      case "resume": {
-        if (callingStepIndexRef.current !== undefined && callingStepIndexRef.current !== null) {
-          const targetIndex = callingStepIndexRef.current;
-          callingStepIndexRef.current = undefined;
-          stepIndexRef.current = targetIndex;
-
-          if (debug) console.log(`resume to step# ${targetIndex}`);
-          return "jumped";
-        } else {
-          console.warn(`[useAnimationScenario] resume() called without previous goto()`);
-        }
-        break;
-      }
-
-      case "stop": {
-        shouldStop.current = true;
-        if (debug) console.log("🛑 Scenario stopped by 'stop' step");
-        break;
-      }
-
-      case "ifJump": {
-        const result = await evalStepCondition(step.condition);
-        if (result !== undefined) {
-          const targetLabel = result ? step.labelTrue : step.labelFalse;
-          if (targetLabel) {
-            const targetIndex = labels[targetLabel];
-            if (targetIndex === undefined) throw new Error(`[useAnimationScenario] Label '${targetLabel}' not found`);
-            stepIndexRef.current = targetIndex;
-            return "jumped";
-          }
-        }
-        break;
-      }
-
-      case "ifThen": {
-        const result = await evalStepCondition(step.condition);
-        if (result !== undefined && !result) {
-          stepIndexRef.current = jumpTo(steps, index, "ifThen", ["ifElse", "ifEnd"]);
-          return "jumped";
-        }
-        break;
-      }
-
-      case "ifElse": {
-        stepIndexRef.current = jumpTo(steps, index, "ifThen", ["ifEnd"]);
-        return "jumped";
-      }
-
-      case "ifEnd":
-        break;
-
-      default:
-        console.warn(`[useAnimationScenario] Unknown step type "${step.type}"`);
-    }
-  }, [steps]);
+  /** Stop execution and reset state. */
+  const stop = useCallback(() => runner.stop(), [runner]);
 
-  /**
-   * Automatically run the scenario from the beginning until completion or
-   * until stopped. Loops when the `loop` option is enabled.
-   */
-  const runAuto = useCallback(async () => {
-
-    const run = async () => {
-      vibrationTriggered.current = false;
-      stepIndexRef.current = 0;
-      callingStepIndexRef.current = undefined;
-
-      while (stepIndexRef.current < steps.length && !shouldStop.current) {
-        const currentIndex = stepIndexRef.current;
-        const result = await runStep(steps[currentIndex], currentIndex);
-        if (shouldStop.current) break;
-        if (result === "jumped") continue;
-        stepIndexRef.current++;
-      }
-    };
+  /** Freeze running animations and timers, e.g. while a modal is open. */
+  const pause = useCallback(() => runner.pause(), [runner]);
 
-    shouldStop.current = false;
-    if (loop) while (!shouldStop.current) await run();
-    else await run();
-  }, [steps]);
+  /** Continue after `pause()` with the remaining time and the same easing curve. */
+  const resume = useCallback(() => runner.resume(), [runner]);
 
-  /** Start running the scenario unless manual mode is enabled. */
-  const start = useCallback(() => {
-    if (mode !== "manual") runAuto();
-  }, [mode, runAuto]);
+  /** Jump to a time (ms) with every value recomputed, see the runner's `seek()`. */
+  const seek = useCallback((ms) => runner.seek(ms), [runner]);
 
-  /** Stop execution and reset state. */
-  const stop = useCallback(() => {
-    reset();
-    if(debug) console.log('stop()')
-    shouldStop.current = true;
-  }, []);
+  /** Jump to the first time a label is reached, with every value recomputed. */
+  const seekToLabel = useCallback((label) => runner.seekToLabel(label), [runner]);
+
+  /** Change the playback rate at runtime, e.g. `setSpeed(0.5)`. */
+  const setSpeed = useCallback((value) => runner.setSpeed(value), [runner]);
 
   /** Reset step index and animated values to their initial state. */
-  const reset = useCallback(() => {
-    if(debug) console.log('reset()')
-    stepIndexRef.current = 0;
-    callingStepIndexRef.current = undefined;
-    vibrationTriggered.current = false;
-    setCurrentStepIndex(-1);
-    holdResolver.current = undefined;
-    shouldStop.current = false;
-
-    // 🧼 Reset each animated value to its initial state
-    Object.entries(initialValues).forEach(([key, val]) => {
-      const animatedValue = animatedRefs.current[key];
-      if (animatedValue) {
-        animatedValue.setValue(val);
-      }
-    });
-  }, []);
+  const reset = useCallback(() => runner.reset(), [runner]);
 
   /**
    * Manually advance to the next step. If a label is provided the index jumps
-   * to it before executing.
+   * to it before executing. Block labels can be reached with qualified names
+   * like `"intro.loop"` or `"intro#2.loop"`.
    */
-  const nextStep = useCallback(async (targetLabel = undefined) => {
+  const nextStep = useCallback((targetLabel = undefined) => runner.nextStep(targetLabel), [runner]);
 
-    // Jump to the provided target
-    if(typeof targetLabel === "string") {
-      const targetIndex = labels[targetLabel];
-      if (targetIndex === undefined) throw new Error(`[useAnimationScenario] Label '${targetLabel}' not found`);
-      stepIndexRef.current = targetIndex;
-    }
+  /**
+   * Go back to the previously executed step in manual mode, restoring every
+   * ref and variable. Pass `{animate: true}` to animate the refs back.
+   */
+  const prevStep = useCallback((options) => runner.prevStep(options), [runner]);
 
-    // If paused on hold, resume it
-    if (holdResolver.current) {
-      const resume = holdResolver.current;
-      holdResolver.current = null;
-      resume(); // triggers continuation
-      return;
-    }
+  /**
+   * Jump to a step tapped in the `TimelineView`: `nextStep(label)` on a label
+   * in manual mode, `seek()` to its estimated start otherwise, which keeps an idle or
+   * paused scenario paused. Failures go to `onError`.
+   */
+  const jumpToRow = useCallback((row) => {
+    const jump = async () => {
+      if (modeRef.current === "manual") {
+        if (row.label) await runner.nextStep(row.label);
+      } else if (row.start && row.start.min !== Infinity) await runner.seek(row.start.min);
+    };
+    jump().catch(error => reportError({ error, step: steps[row.index], index: row.index, label: row.label, block: row.block }));
+  }, [runner, steps]);
 
-    const step = steps[stepIndexRef.current];
-    if (!step) return;
-    if (shouldStop.current) return;
-    const result = await runStep(step, stepIndexRef.current);
-    if (result !== "jumped") {
-      stepIndexRef.current++;
-      if (stepIndexRef.current >= steps.length) stepIndexRef.current = 0;
-    }
+  /** Executed steps since the last reset as JSON, e.g. to attach to a bug report. Needs `traceSize`. */
+  const exportTrace = useCallback(() => runner.exportTrace(), [runner]);
+
+  /** Run again with the conditions and callback results of an exported trace, to reproduce its path. */
+  const replayTrace = useCallback((trace) => runner.replayTrace(trace), [runner]);
+
+  /** Internal runner state (step index, return stack, loop counters...), for debugging. */
+  const getDebugState = useCallback(() => runner.getState(), [runner]);
 
+  /** Set a scenario variable, e.g. from a UI event. */
+  const setVar = useCallback((name, value) => runner.setVar(name, value), [runner]);
 
-  }, [steps]);
+  // Timeline component with a stable type, see createBoundTimeline()
+  const timelineData = useRef(null);
+  timelineData.current = { runner, rows: timelineRows, trackRows, onStepPress: jumpToRow };
+  const boundTimeline = useRef(null);
+  if (!boundTimeline.current) boundTimeline.current = createBoundTimeline(timelineData);
 
   return {
-    refs: animatedRefs.current,
+    refs,
+    vars: currentVars,
     start,
     stop,
     reset,
+    pause,
+    resume,
+    seek,
+    seekToLabel,
+    setSpeed,
     nextStep,
-    TimelineView: () => <Timeline stepLabels={stepLabels} currentStepIndex={currentStepIndex} />
+    prevStep,
+    canGoBack: playback.canGoBack,
+    setVar,
+    getDebugState,
+    exportTrace,
+    replayTrace,
+    status: playback.status,
+    currentStep: playback.currentStep,
+    currentLabel: playback.currentLabel,
+    iteration: playback.iteration,
+    returnStack: playback.returnStack,
+    tracks: playback.tracks,
+    subscribe: runner.subscribe,
+    timeline,
+    progress,
+    TimelineView: boundTimeline.current,
   };
 
 };
@@ -0,0 +1,87 @@
+import { compileScenario } from "../src/compileScenario.js";
+import { analyzeScenario } from "../src/analyzeScenario.js";
+import { defineScenario, move, delay, label, goto, stop, comment, setVar, ifJump, repeat, endRepeat, whileDo, endWhile, use, callback, fork, join } from "../src/scenarioEngine.js";
+
+/* run :
+npm test -- tests/analyzeScenario.test.mjs
+*/
+
+const analyze = (scenario, options = {}, compileOptions = {}) =>
+  analyzeScenario(compileScenario(scenario, { initialValues: { x: 0 }, ...compileOptions }), options, false);
+
+test("analyze1.0 - reports unreachable steps and steps after stop", () => {
+  const { errors, warnings, reachable } = analyze(defineScenario([
+    move("x", 100, 500),
+    goto("end"),
+    move("x", 0, 500),
+    label("end"),
+    stop(),
+    comment("never"),
+    delay(100),
+  ]));
+
+  expect(errors).toEqual([]);
+  expect(warnings).toEqual([
+    "Step(s) 2 are unreachable",
+    "Step(s) 6 after \"stop\" at step 4 can never run",
+  ]);
+  expect(reachable).toEqual([true, true, false, true, true, false, false]);
+});
+
+test("analyze1.1 - reports zero-time cycles", () => {
+  const infinite = analyze(defineScenario([label("loop"), setVar("n", 1), goto("loop")]), {}, { vars: { n: 0 } });
+  expect(infinite.errors).toEqual([]);
+  expect(infinite.warnings).toEqual(["Steps 0-2 form an infinite loop without any move/delay/hold step: it freezes the JS thread"]);
+  const strict = analyze(defineScenario([label("loop"), setVar("n", 1), goto("loop")]), { strict: true }, { vars: { n: 0 } });
+  expect(strict.errors).toEqual(["Steps 0-2 form an infinite loop without any move/delay/hold step: it freezes the JS thread"]);
+
+  const exiting = analyze(defineScenario([label("loop"), ifJump("n > 3", "done"), goto("loop"), label("done")]), {}, { vars: { n: 0 } });
+  expect(exiting.errors).toEqual([]);
+  expect(exiting.warnings).toEqual(["Steps 0-2 form a loop without any move/delay/hold step: it blocks the JS thread while it runs"]);
+
+  const timed = analyze(defineScenario([whileDo("n < 3"), delay(100), endWhile(), repeat(3), setVar("n", 0), endRepeat()]), {}, { vars: { n: 0 } });
+  expect(timed.errors).toEqual([]);
+  expect(timed.warnings).toEqual([]);
+});
+
+test("analyze1.2 - strict mode turns warnings into errors and throws", () => {
+  const scenario = defineScenario([stop(), move("x", 1, 100)]);
+  expect(() => analyzeScenario(compileScenario(scenario, { initialValues: { x: 0 } }), { strict: true }))
+    .toThrow("Scenario analysis failed:\n• Step(s) 1 after \"stop\" at step 0 can never run");
+  expect(() => analyzeScenario(compileScenario(scenario, { initialValues: { x: 0 } }))).not.toThrow();
+});
+
+test("analyze1.3 - reports recursive block references, as warnings between unused blocks", () => {
+  const blocks = { a: [delay(100), use("b")], b: [use("a")], c: [use("c")] };
+  const unused = analyzeScenario(compileScenario([delay(100)], { blocks }), { blocks }, false);
+  expect(unused.errors).toEqual([]);
+  expect(unused.warnings).toEqual([
+    "Recursive block reference in unused blocks: a > b > a",
+    "Recursive block reference in unused blocks: c > c",
+  ]);
+  expect(() => analyzeScenario(compileScenario([delay(100)], { blocks }), { blocks })).not.toThrow();
+
+  const used = analyzeScenario(compileScenario([use("a")], { blocks }, false), { blocks }, false);
+  expect(used.errors).toEqual(["Recursive block reference: a > b > a"]);
+  expect(used.warnings).toEqual(["Recursive block reference in unused blocks: c > c"]);
+});
+
+test("analyze1.4 - async callbacks and conditions yield to the event loop", () => {
+  const callbacks = { poll: async () => {}, isDone: async () => false, log: () => {} };
+  const options = { callbacks };
+  const polling = analyze(defineScenario([label("loop"), callback("poll"), goto("loop")]), options, options);
+  expect([...polling.errors, ...polling.warnings]).toEqual([]);
+
+  const checking = analyze(defineScenario([label("loop"), ifJump("isDone", "done"), goto("loop"), label("done")]), options, options);
+  expect([...checking.errors, ...checking.warnings]).toEqual([]);
+
+  const logging = analyze(defineScenario([label("loop"), callback("log"), goto("loop")]), options, options);
+  expect(logging.errors).toEqual([]);
+  expect(logging.warnings).toEqual(["Steps 0-2 form an infinite loop without any move/delay/hold step: it freezes the JS thread"]);
+});
+
+test("analyze1.5 - join() waits for its track", () => {
+  const blocks = { pulse: defineScenario([move("x", 1, 100)]) };
+  const { errors, warnings } = analyze(defineScenario([label("l"), fork("pulse", "p"), join("p"), goto("l")]), { blocks }, { blocks });
+  expect([...errors, ...warnings]).toEqual([]);
+});
@@ -0,0 +1,28 @@
+import { parseColor, isColor, isValueXY, mixValues } from "../src/color.js";
+
+/* run :
+npm test -- tests/color.test.mjs
+*/
+
+test("color1.0 - parses hex, rgb(), hsl() and named colors", () => {
+  expect(parseColor("#f00")).toEqual([255, 0, 0, 1]);
+  expect(parseColor("#ff000080")).toEqual([255, 0, 0, 128 / 255]);
+  expect(parseColor("rgba(10, 20, 30, 0.5)")).toEqual([10, 20, 30, 0.5]);
+  expect(parseColor("hsl(120, 100%, 50%)")).toEqual([0, 255, 0, 1]);
+  expect(parseColor("transparent")).toEqual([0, 0, 0, 0]);
+  expect(parseColor("tomato")).toEqual([255, 99, 71, 1]);
+  expect(parseColor(" Black ")).toEqual([0, 0, 0, 1]);
+  expect(isColor("red")).toBe(true);
+  expect(isColor("constructor")).toBe(false);
+  expect(isColor("score + 1")).toBe(false);
+  expect(isColor("#12345")).toBe(false);
+  expect(isValueXY({ x: 1, y: 2 })).toBe(true);
+});
+
+test("color1.1 - mixes numbers, colors and {x, y} pairs", () => {
+  expect(mixValues(0, 10, 0.25)).toBe(2.5);
+  expect(mixValues("#000", "#fff", 0.5)).toBe("rgba(128, 128, 128, 1)");
+  expect(mixValues("black", "white", 0.5)).toBe("rgba(128, 128, 128, 1)");
+  expect(mixValues("rgba(255, 0, 0, 0)", "#ff0000", 0.5)).toBe("rgba(255, 0, 0, 0.5)");
+  expect(mixValues({ x: 0, y: 0 }, { x: 10, y: 20 }, 0.5)).toEqual({ x: 5, y: 10 });
+});
@@ -1,5 +1,5 @@
 import { compileScenario } from "../src/compileScenario.js";
-import { label, comment, move, defineScenario, use, delay, goto, ifThen, ifElse, ifEnd, parallel, set } from "../src/scenarioEngine.js";
+import { label, comment, move, defineScenario, use, delay, goto, ifThen, ifElse, ifEnd, parallel, set, spring, decay, keyframes, inc, dec, repeat, endRepeat, whileDo, endWhile, setVar, incVar, ifJump, call, ret, stop, defineBlock, param, callback, timeScale, fork, join, cancel, stagger, sequence, vibrate } from "../src/scenarioEngine.js";
 import * as assert from "node:assert";
 
 /* run :
@@ -127,14 +127,16 @@ test("step2.2 - can reuse same block multiple times", () => {
 });
 
 /*
-Goal: Prevent a block from defining a label that already exists in the main scenario
-We only allow top-level labels to go into labels, but we must still check that no block adds a label that conflicts.
+Goal: Let a block define a label that already exists in the main scenario
+Block labels are qualified by their expansion: references inside the block resolve to the block label first,
+references of the main scenario to the top-level one.
  */
-test("step2.3 - throws error if a block contains a label already defined in the main scenario", () => {
+test("step2.3 - a block label may reuse the name of a label of the main scenario", () => {
   const blocks = {
     glow: defineScenario([
       label("start"), // same as in main
       move("opacity", 1, 300),
+      ifJump(() => false, "start"),
     ]),
   };
 
@@ -142,10 +144,14 @@ test("step2.3 - throws error if a block contains a label already defined in the
     label("start"),
     use("glow"),
     move("opacity", 0, 300),
+    goto("start"),
   ]);
 
-  expect(() => compileScenario(scenario, { blocks , initialValues : {opacity: 0}}))
-    .toThrow("Duplicate label 'start'");
+  const { steps, labels, scopedLabels } = compileScenario(scenario, { blocks, initialValues: { opacity: 0 } });
+  expect(labels).toEqual({ start: 0 });
+  expect(scopedLabels).toEqual({ "glow#1.start": 1, "glow.start": 1 });
+  expect(steps[3]).toEqual(expect.objectContaining({ type: "ifJump", labelTrue: "glow#1.start" }));
+  expect(steps[5]).toEqual({ type: "goto", label: "start" });
 });
 
 test("step2.4 - compileScenario flattens blocks and preserves labels", () => {
@@ -272,5 +278,328 @@ const scenario = defineScenario([
   comment("end"),
 ]);
 
-expect(() => compileScenario(scenario, { initialValues : { opacity: 0, scale: 1 }} )).toThrow("each target must be a valid 'move' step");
+expect(() => compileScenario(scenario, { initialValues : { opacity: 0, scale: 1 }} )).toThrow("each target must be a valid 'move', 'spring', 'decay' or 'keyframes' step");
+});
+
+test("step5.0 - passes for spring, decay and keyframes steps", () => {
+  const scenario = defineScenario([
+    spring("scale", 1.2, { friction: 4, tension: 60 }),
+    decay("x", 0.8, { deceleration: 0.995 }),
+    keyframes("y", [
+      { value: -30, duration: 200 },
+      { value: inc(30), duration: 200, easing: t => t },
+    ]),
+    parallel([
+      spring("scale", dec(0.2)),
+      move("x", 0, 300),
+    ]),
+  ]);
+
+  const { steps } = compileScenario(scenario, { initialValues : { scale: 1, x: 0, y: 0 }});
+  expect(steps[0]).toEqual({ type: "spring", target: "scale", to: 1.2, config: { friction: 4, tension: 60 } });
+  expect(steps[3].targets[0]).toEqual(expect.objectContaining({ type: "spring", to: { type: "dec", value: 0.2 } }));
+});
+
+test("step5.0 - throws error for invalid spring config", () => {
+  const scenario = defineScenario([
+    spring("scale", 1.2, { friction: 4, stiffness: 100 }),
+  ]);
+  expect(() => compileScenario(scenario, { initialValues : { scale: 1 }})).toThrow("only one of tension/friction, stiffness/damping/mass can be used");
+  expect(() => compileScenario([spring("scale", 1, { wobble: 2 })], { initialValues : { scale: 1 }})).toThrow("unknown config option 'wobble'");
+});
+
+test("step5.0 - throws error for invalid decay and keyframes", () => {
+  expect(() => compileScenario([decay("x", 1, { deceleration: 2 })], { initialValues : { x: 0 }}))
+    .toThrow("deceleration must be a number between 0 and 1");
+  expect(() => compileScenario([keyframes("x", [])], { initialValues : { x: 0 }}))
+    .toThrow("frames must be a non-empty array");
+  expect(() => compileScenario([parallel([keyframes("x", [{ value: 1 }])])], { initialValues : { x: 0 }}))
+    .toThrow("frame 0 duration must be a positive number");
+});
+
+test("step6.0 - passes for repeat and whileDo nested in ifThen", () => {
+  const scenario = defineScenario([
+    ifThen(() => true),
+      repeat(3),
+        whileDo("isPressed"),
+          move("x", inc(1), 100),
+        endWhile(),
+      endRepeat(),
+    ifElse(),
+      repeat("getCount"),
+      endRepeat(),
+    ifEnd(),
+  ]);
+  const callbacks = { isPressed: () => false, getCount: () => 2 };
+  expect(() => compileScenario(scenario, { initialValues : { x: 0 }, callbacks })).not.toThrow();
+});
+
+test("step6.0 - throws error for mismatched loop blocks", () => {
+  expect(() => compileScenario([repeat(2), ifThen(() => true), endRepeat(), ifEnd()]))
+    .toThrow(`"endRepeat" at step 2 has no matching "repeat"`);
+  expect(() => compileScenario([whileDo("cond")])).toThrow(`Unclosed "whileDo" at step 0`);
+  expect(() => compileScenario([endWhile()])).toThrow(`"endWhile" at step 0 has no matching "whileDo"`);
+  expect(() => compileScenario([repeat(-1), endRepeat()])).toThrow("repeat count must be a non-negative integer or a callback");
+  expect(() => compileScenario([whileDo(42), endWhile()])).toThrow("whileDo must include a valid condition function");
+});
+
+test("step7.0 - passes for variables and expressions", () => {
+  const scenario = defineScenario([
+    setVar("score", "score + bonus * 2"),
+    incVar("attempts"),
+    ifThen("score > 5 && attempts < 3"),
+      move("x", "offset + 20", 300),
+      delay("attempts * 100"),
+    ifEnd(),
+    ifJump("isDone", "end"),
+    label("end"),
+  ]);
+  expect(() => compileScenario(scenario, {
+    initialValues: { x: 0 },
+    vars: { score: 0, bonus: 1, attempts: 0, offset: 10 },
+    callbacks: { isDone: () => true },
+  })).not.toThrow();
+});
+
+test("step7.0 - throws error for undeclared variables and invalid expressions", () => {
+  const vars = { score: 0 };
+  expect(() => compileScenario([setVar("level", 1)], { vars })).toThrow("Undeclared variable 'level' in setVar");
+  expect(() => compileScenario([ifThen("score > limit"), ifEnd()], { vars }))
+    .toThrow(`Undeclared variable 'limit' in ifThen condition: "score > limit"`);
+  expect(() => compileScenario([move("x", "score +", 100)], { vars, initialValues: { x: 0 } }))
+    .toThrow(`move target value: Invalid expression "score +" at column 8: unexpected end`);
+  expect(() => compileScenario([delay("score ; 1")], { vars })).toThrow("unexpected character ';'");
+});
+
+test("step8.0 - warns when ret() is reachable without a call()", () => {
+  const subroutine = [label("blink"), move("opacity", 0, 100), ret()];
+
+  const ok = compileScenario([call("blink"), stop(), ...subroutine], { initialValues: { opacity: 1 } });
+  expect(ok.warnings).toEqual([]);
+
+  const fallsThrough = compileScenario([call("blink"), ...subroutine], { initialValues: { opacity: 1 } });
+  expect(fallsThrough.warnings).toEqual([`"ret" at step 3 may be reached without a "call"`]);
+
+  expect(() => compileScenario([call("missing")])).toThrow("Missing label : missing");
+});
+
+test("step9.0 - substitutes block parameters when using a parameterized block", () => {
+  const blocks = {
+    bounce: defineBlock({ target: "string", height: { type: "number", default: 30 }, done: "callback" }, [
+      label("top"),
+      move(param("target"), dec(param("height")), 200),
+      move(param("target"), inc(param("height")), 200, param("done")),
+      callback(param("done"), { height: param("height") }),
+      goto("top"),
+    ]),
+  };
+
+  const scenario = defineScenario([
+    use("bounce", { target: "y", done: "onBounce" }),
+    use("bounce", { target: "logo", height: 10, done: "onLogo" }),
+  ]);
+
+  const { steps, scopedLabels } = compileScenario(scenario, {
+    blocks,
+    initialValues: { y: 0, logo: 0 },
+    callbacks: { onBounce: () => {}, onLogo: () => {} },
+  });
+
+  expect(steps).toHaveLength(10);
+  expect(scopedLabels).toEqual({ "bounce#1.top": 0, "bounce.top": 0, "bounce#2.top": 5 });
+  expect(steps[0]).toEqual({ type: "label", label: "top", __sourceBlock: "bounce", __scope: "bounce#1" });
+  expect(steps[1]).toEqual({ type: "move", target: "y", to: { type: "dec", value: 30 }, duration: 200, __sourceBlock: "bounce", __scope: "bounce#1" });
+  expect(steps[2]).toEqual(expect.objectContaining({ target: "y", label: "onBounce" }));
+  expect(steps[3]).toEqual(expect.objectContaining({ type: "callback", name: "onBounce", value: { height: 30 } }));
+  expect(steps[4]).toEqual(expect.objectContaining({ type: "goto", label: "bounce#1.top" }));
+  expect(steps[9]).toEqual(expect.objectContaining({ type: "goto", label: "bounce#2.top" }));
+  expect(steps[6]).toEqual(expect.objectContaining({ target: "logo", to: { type: "dec", value: 10 } }));
+});
+
+test("step9.1 - reports missing, extra and mistyped block arguments", () => {
+  const blocks = {
+    fade: defineBlock({ target: "string", duration: "number" }, [
+      move(param("target"), 1, param("duration")),
+      move(param("target"), 0, param("delay")),
+    ]),
+    plain: defineScenario([comment("no params")]),
+  };
+  const options = { blocks, initialValues: { opacity: 0 } };
+
+  expect(() => compileScenario([use("fade", { target: "opacity" })], options)).toThrow("use('fade'): missing argument 'duration'.");
+  expect(() => compileScenario([use("fade", { target: "opacity", duration: 100, speed: 2 })], options)).toThrow("use('fade'): unknown argument 'speed'.");
+  expect(() => compileScenario([use("fade", { target: "opacity", duration: "slow" })], options))
+    .toThrow(`use('fade'): argument 'duration' must be of type 'number', got "slow".`);
+  expect(() => compileScenario([use("fade", { target: "opacity", duration: 100 })], options)).toThrow("Block 'fade' uses undeclared parameter 'delay'");
+  expect(() => compileScenario([use("plain", { x: 1 })], options)).toThrow("use('plain'): block has no parameters.");
+  expect(() => compileScenario([move(param("target"), 1, 100)], options)).toThrow("Parameter 'target' used outside of a parameterized block");
+});
+
+test("step10.0 - block labels are scoped to each expansion", () => {
+  const blocks = {
+    intro: defineScenario([
+      label("loop"),
+      move("x", inc(10), 100),
+      ifJump(() => false, "loop", "done"),
+      label("done"),
+      use("pulse"),
+    ]),
+    pulse: defineScenario([
+      label("beat"),
+      move("scale", 1.2, 100),
+      goto("done"), // resolves to the enclosing intro expansion
+    ]),
+  };
+  const scenario = defineScenario([
+    label("start"),
+    use("intro"),
+    use("intro"),
+    goto("intro#2.loop"),
+    goto("pulse.beat"),
+  ]);
+
+  const { steps, labels, scopedLabels } = compileScenario(scenario, { blocks, initialValues: { x: 0, scale: 1 } });
+
+  expect(labels).toEqual({ start: 0 });
+  expect(scopedLabels).toEqual({
+    "intro#1.loop": 1, "intro.loop": 1, "intro#1.done": 4, "intro.done": 4,
+    "pulse#1.beat": 5, "pulse.beat": 5,
+    "intro#2.loop": 8, "intro#2.done": 11, "pulse#2.beat": 12,
+  });
+  expect(steps[3]).toEqual(expect.objectContaining({ type: "ifJump", labelTrue: "intro#1.loop", labelFalse: "intro#1.done" }));
+  expect(steps[7]).toEqual(expect.objectContaining({ type: "goto", label: "intro#1.done", __scope: "pulse#1" }));
+  expect(steps[14]).toEqual(expect.objectContaining({ type: "goto", label: "intro#2.done" }));
+  expect(steps[15]).toEqual({ type: "goto", label: "intro#2.loop" });
+});
+
+test("step10.1 - reports duplicate labels inside a block and unknown qualified labels", () => {
+  const blocks = { twice: defineScenario([label("a"), label("a")]) };
+  expect(() => compileScenario([use("twice")], { blocks })).toThrow("Duplicate label 'a' in block 'twice'");
+  expect(() => compileScenario([goto("twice#3.a")], { blocks: { twice: defineScenario([label("a")]) } })).toThrow("Missing label : twice#3.a");
+  expect(() => compileScenario([label("a.b")])).toThrow("Label 'a.b' must not contain '.'");
+});
+
+test("step10.2 - reports recursive block references instead of overflowing the stack", () => {
+  const blocks = { a: [use("b")], b: [comment("b"), use("a")] };
+  expect(() => compileScenario([use("a")], { blocks })).toThrow("Recursive block reference: a > b > a");
+});
+
+test("step11.0 - timeScale() annotates the following steps of its block", () => {
+  const blocks = { slow: defineScenario([timeScale(2), move("x", 1, 100), use("inner")]), inner: defineScenario([timeScale(3), delay(100)]) };
+  const { steps } = compileScenario(defineScenario([use("slow"), delay(100), timeScale(0.5), delay(100)]), { blocks, initialValues: { x: 0 } });
+
+  expect(steps.map(s => s.__timeScale)).toEqual([undefined, 2, undefined, 6, undefined, undefined, 0.5]);
+  expect(() => compileScenario([timeScale(0)])).toThrow("timeScale factor must be a positive number, got 0.");
+});
+
+test("step12.0 - fork() compiles its block as a separate track program", () => {
+  const blocks = { pulse: defineScenario([label("top"), move("x", 1, 100), goto("top")]) };
+  const compiled = compileScenario(defineScenario([fork("pulse", "p"), delay(100), cancel("p"), join("p")]), { blocks, initialValues: { x: 0 } });
+
+  expect(compiled.steps.map(s => s.type)).toEqual(["fork", "delay", "cancel", "join"]);
+  expect(compiled.tracks.pulse.steps.map(s => s.type)).toEqual(["label", "move", "goto"]);
+  expect(compiled.tracks.pulse.scopedLabels).toEqual({ "pulse#1.top": 0, "pulse.top": 0 });
+});
+
+test("step12.1 - reports unknown fork blocks, errors inside tracks and unknown track ids", () => {
+  const blocks = { broken: defineScenario([move("y", 1, 100)]) };
+  const { validationErrors } = compileScenario(defineScenario([fork("missing", "a"), fork("broken", "b"), join("c")]), { blocks, initialValues: { x: 0 } }, false);
+
+  expect(validationErrors).toEqual([
+    "Block 'missing' not found",
+    "fork('broken'): Missing initial value for target: y",
+    "join('c'): no fork() starts track 'c'",
+  ]);
+});
+
+test("step13.0 - expands pattern targets and inlines top-level sequences", () => {
+  const initialValues = { "item1.opacity": 0, "item2.opacity": 0, "item3.opacity": 0, x: 0 };
+  const { steps } = compileScenario(defineScenario([
+    move("item*.opacity", 1, 300),
+    stagger(50, [move("item*.opacity", 0, 100)]),
+    sequence([set("item*.opacity", 1), label("after"), goto("after")]),
+  ]), { initialValues });
+
+  const items = ["item1.opacity", "item2.opacity", "item3.opacity"];
+  expect(steps.map(s => s.type)).toEqual(["parallel", "stagger", "set", "set", "set", "label", "goto"]);
+  expect(steps[0].targets.map(t => t.target)).toEqual(items);
+  expect(steps[1].targets.map(t => t.target)).toEqual(items);
+  expect(steps.slice(2, 5).map(s => s.target)).toEqual(items);
+});
+
+test("step13.1 - validates stagger targets, nested sequences and empty expansions", () => {
+  const { validationErrors } = compileScenario(defineScenario([
+    move("item*.opacity", 1, 300),
+    stagger(-1, []),
+    parallel([sequence([move("x", 1, 100), vibrate(), goto("end")])]),
+    label("end"),
+  ]), { initialValues: { x: 0 } }, false);
+
+  expect(validationErrors).toEqual([
+    "Pattern 'item*.opacity' matches no initial value",
+    "stagger step must include at least one target.",
+    "stagger interval must be a positive number, an expression or a callback.",
+    "sequence in parallel: 'goto' steps are not allowed, only animations, delays, sets, variables and callbacks.",
+  ]);
+});
+
+test("step14.0 - checks derived outputs and color or {x, y} targets", () => {
+  const initialValues = { progress: 0, bg: "#ffffff", pos: { x: 0, y: 0 } };
+  const derived = {
+    tint: { from: "progress", inputRange: [0, 1], outputRange: ["#000", "#fff"], extrapolate: "clamp" },
+    ghost: { from: "missing", inputRange: [0, 1], outputRange: [0, 1] },
+    shaky: { from: "bg", inputRange: [1, 0], outputRange: [0, "#fff"], extrapolate: "wrap" },
+  };
+  const { validationErrors } = compileScenario(defineScenario([
+    move("bg", "#ff0000", 400),
+    move("pos", { x: 10, y: 20 }, 300),
+    move("bg", 1, 100),
+    move("pos", "#fff", 100),
+    keyframes("bg", [{ value: 1, duration: 100 }]),
+    move("tint", 1, 100),
+  ]), { initialValues, derived }, false);
+
+  expect(validationErrors).toEqual([
+    "move 'bg': value must be a color string, got 1.",
+    "move 'pos': value must be an {x, y} object, got \"#fff\".",
+    "keyframes 'bg': keyframes only animates numeric values, not a color.",
+    "Target 'tint' is derived from 'progress' and cannot be animated",
+    "derived 'ghost': source 'missing' not found in initialValues.",
+    "derived 'shaky': source 'bg' must be a numeric value.",
+    "derived 'shaky': inputRange must be non-decreasing.",
+    "derived 'shaky': outputRange must be an array of numbers or of color strings.",
+    "derived 'shaky': extrapolate must be one of extend, clamp, identity.",
+  ]);
+});
+
+test("step14.1 - takes color names as colors unless a variable or callback has that name", () => {
+  const { validationErrors } = compileScenario(defineScenario([
+    move("bg", "tomato", 400),
+    move("bg", "Red", 400),
+    move("opacity", "red", 400),
+    move("opacity", "navy", 400),
+  ]), { initialValues: { bg: "#ffffff", opacity: 0 }, vars: { red: 1 } }, false);
+
+  expect(validationErrors).toEqual([
+    "move 'opacity': value must be a number, got \"navy\".",
+  ]);
+});
+
+test("step15.0 - checks vibrate() styles, patterns and policies", () => {
+  const { validationErrors } = compileScenario(defineScenario([
+    vibrate(),
+    vibrate("success", "always"),
+    vibrate([0, 40, 60, 40], "once"),
+    { type: "vibrate", style: "intro" }, // e.g. from JSON
+    vibrate([0, "long"]),
+    vibrate("light", "twice"),
+  ]), { initialValues: { x: 0 } }, false);
+
+  expect(validationErrors).toEqual([
+    "vibrate: unknown style \"intro\", expected light|medium|heavy|success|warning|error|selection or a pattern of durations",
+    "vibrate: unknown style [0,\"long\"], expected light|medium|heavy|success|warning|error|selection or a pattern of durations",
+    "vibrate: policy must be \"once\" or \"always\", got \"twice\"",
+  ]);
+  expect(vibrate("intro")).toEqual({ type: "vibrate", label: "intro" });
+  expect(vibrate("intro", "always")).toEqual({ type: "vibrate", policy: "always", label: "intro" });
 });
@@ -0,0 +1,99 @@
+import { jest } from "@jest/globals";
+import { compileScenario } from "../src/compileScenario.js";
+import { createScenarioRunner } from "../src/scenarioRunner.js";
+import { defineScenario, move, spring } from "../src/scenarioEngine.js";
+import { createFakeClock, createFakeDriver } from "../src/drivers/fakeDriver.js";
+import { toSpringConfig } from "../src/drivers/springConfig.js";
+
+/* run :
+npm test -- tests/drivers.test.mjs
+*/
+
+// Just enough of `Animated` to see what the Animated driver passes to it
+const animatedCalls = [];
+class FakeAnimatedValue {
+  constructor(value) { this.value = value; }
+  __getValue() { return this.value; }
+  setValue(value) { this.value = value; }
+  stopAnimation() {}
+}
+class FakeAnimatedColor extends FakeAnimatedValue {}
+const fakeAnimation = (type) => (ref, config) => {
+  animatedCalls.push({ type, ref, config });
+  return { start: (done) => done({ finished: true }), stop: () => {} };
+};
+jest.unstable_mockModule("react-native", () => ({
+  Animated: {
+    Value: FakeAnimatedValue,
+    ValueXY: FakeAnimatedValue,
+    Color: FakeAnimatedColor,
+    timing: fakeAnimation("timing"),
+    spring: fakeAnimation("spring"),
+  },
+}));
+
+test("driver1.0 - the fake driver creates values and stops animations by target", async () => {
+  const clock = createFakeClock();
+  const driver = createFakeDriver({}, clock);
+  expect(driver.createValue("x", 0)).toBe(0);
+  expect(() => driver.read("y")).toThrow("Unknown ref: y");
+
+  const ends = [];
+  driver.animate("x", { type: "timing", toValue: 100, duration: 100 }, (finished) => ends.push(finished));
+  await clock.advance(50);
+  driver.animate("x", { type: "timing", toValue: 0, duration: 100 }, (finished) => ends.push(finished));
+  expect(ends).toEqual([false]); // a new animation stops the running one
+  await clock.advance(25);
+  driver.stop("x");
+  expect(ends).toEqual([false, false]);
+  expect(driver.values.x).toBe(37.5);
+});
+
+test("driver1.1 - the runner stops through stop(target) when animate() returns no handle", async () => {
+  const clock = createFakeClock();
+  const fake = createFakeDriver({ x: 0 }, clock);
+  const driver = { ...fake, animate: (...args) => { fake.animate(...args); } };
+  const compiled = compileScenario(defineScenario([move("x", 100, 100), spring("x", 0)]), { initialValues: { x: 0 } });
+  const runner = createScenarioRunner(compiled, { driver, clock, initialValues: { x: 0 } });
+
+  const done = runner.start();
+  await clock.advance(50);
+  runner.pause();
+  const paused = fake.values.x;
+  expect(paused).toBeGreaterThan(0);
+  await clock.advance(500);
+  expect(fake.values.x).toBe(paused);
+  runner.resume();
+  await clock.advance(1000);
+  await done;
+  expect(fake.values.x).toBe(0);
+});
+
+test("driver1.2 - converts Animated spring options to stiffness, damping and mass", () => {
+  expect(toSpringConfig({})).toEqual({ stiffness: 230.2, damping: 22, mass: 1 });
+  expect(toSpringConfig({ tension: 60, friction: 4, velocity: 2 })).toEqual({ velocity: 2, stiffness: 302.6, damping: 13, mass: 1 });
+  expect(toSpringConfig({ stiffness: 120 })).toEqual({ stiffness: 120, damping: 10, mass: 1 });
+  const bouncy = toSpringConfig({ bounciness: 8, speed: 12 });
+  expect(bouncy.stiffness).toBeCloseTo(342.1, 1);
+  expect(bouncy.damping).toBeCloseTo(24.68, 2);
+});
+
+test("driver1.3 - the Animated driver animates colors toward {r, g, b, a} channels", async () => {
+  const { createAnimatedDriver } = await import("../src/drivers/animatedDriver.js");
+  const driver = createAnimatedDriver();
+  expect(driver.createValue("bg", "#000000")).toBeInstanceOf(FakeAnimatedColor);
+  driver.createValue("x", 0);
+  const compiled = compileScenario(defineScenario([
+    move("bg", "#ff000080", 400),
+    spring("bg", "tomato"),
+    move("x", 10, 100),
+  ]), { initialValues: { bg: "#000000", x: 0 } });
+  const runner = createScenarioRunner(compiled, { driver, clock: createFakeClock(), initialValues: { bg: "#000000", x: 0 } });
+
+  await runner.start();
+  expect(animatedCalls.map(({ type, config }) => [type, config.toValue, config.useNativeDriver])).toEqual([
+    ["timing", { r: 255, g: 0, b: 0, a: 128 / 255 }, false],
+    ["spring", { r: 255, g: 99, b: 71, a: 1 }, false],
+    ["timing", 10, true],
+  ]);
+});
@@ -0,0 +1,77 @@
+import { compileScenario } from "../src/compileScenario.js";
+import { estimateTimeline, formatDuration } from "../src/estimateTimeline.js";
+import { defineScenario, move, delay, parallel, label, goto, hold, stop, ifThen, ifElse, ifEnd, ifJump, repeat, endRepeat, call, ret, use, callback, fork, join, stagger, sequence } from "../src/scenarioEngine.js";
+
+/* run :
+npm test -- tests/estimateTimeline.test.mjs
+*/
+
+const estimate = (scenario, options = {}) => estimateTimeline(
+  compileScenario(scenario, { initialValues: { x: 0 }, vars: { n: 0 }, ...options }),
+  options
+);
+
+test("timeline1.0 - sums moves, delays, parallel maxima and block steps", () => {
+  const blocks = { fade: [move("x", 0, 200), delay(50)] };
+  const { total, steps, labels } = estimate(defineScenario([
+    move("x", 100, 500),
+    label("together"),
+    parallel([move("x", 1, 300), move("x", 2, 400)]),
+    use("fade"),
+    delay("2 * 100"),
+  ]), { blocks });
+
+  expect(total).toEqual({ min: 1350, max: 1350 });
+  expect(labels.together).toEqual({ min: 500, max: 500 });
+  expect(steps[2]).toEqual({ start: { min: 500, max: 500 }, end: { min: 900, max: 900 } });
+  expect(steps[4].start).toEqual({ min: 1100, max: 1100 });
+});
+
+test("timeline1.1 - reports branches and static repeats as ranges", () => {
+  const { total, labels } = estimate(defineScenario([
+    ifThen("n > 1"), delay(100), ifElse(), delay(300), ifEnd(),
+    label("loop"),
+    repeat(3), delay(100), endRepeat(),
+    label("calls"),
+    call("blink"), call("blink"), stop(),
+    label("blink"), move("x", 1, 50), ret(),
+  ]));
+
+  expect(labels.loop).toEqual({ min: 100, max: 300 });
+  expect(labels.calls).toEqual({ min: 400, max: 600 });
+  expect(total).toEqual({ min: 500, max: 700 });
+});
+
+test("timeline1.2 - holds, loops and runtime values are unbounded", () => {
+  expect(estimate(defineScenario([delay(100), hold(), label("after"), delay(100)])).labels.after)
+    .toEqual({ min: 100, max: Infinity });
+  expect(estimate(defineScenario([label("a"), move("x", 1, 100), ifJump("n < 3", "a")])).total)
+    .toEqual({ min: 100, max: Infinity });
+  expect(estimate(defineScenario([label("a"), move("x", 1, 100), goto("a")])).total)
+    .toEqual({ min: Infinity, max: Infinity });
+  expect(estimate(defineScenario([delay("n * 10"), move("x", 1, "getDuration")]), { callbacks: { getDuration: () => 10 } }).total)
+    .toEqual({ min: 0, max: Infinity });
+  expect(estimate(defineScenario([callback("load")]), { callbacks: { load: async () => {} } }).total)
+    .toEqual({ min: 0, max: Infinity });
+});
+
+test("timeline1.3 - formats durations", () => {
+  expect(formatDuration(12400)).toBe("0:12");
+  expect(formatDuration({ min: 12000, max: 75000 })).toBe("0:12-1:15");
+  expect(formatDuration({ min: 0, max: Infinity })).toBe("unbounded");
+});
+
+test("timeline1.4 - join() waits at most for the forked track", () => {
+  const blocks = { fade: defineScenario([move("x", 1, 300)]), pulse: defineScenario([label("top"), move("x", 1, 100), goto("top")]) };
+  expect(estimate(defineScenario([fork("fade", "f"), delay(100), join("f")]), { blocks }).total)
+    .toEqual({ min: 100, max: 400 });
+  expect(estimate(defineScenario([fork("pulse", "p"), delay(100), join("p")]), { blocks }).total)
+    .toEqual({ min: 100, max: Infinity });
+});
+
+test("timeline1.5 - stagger() adds its intervals and sequences add up", () => {
+  expect(estimate(defineScenario([stagger(100, [move("x", 1, 300), move("x", 1, 50), sequence([delay(100), move("x", 1, 100)])])])).total)
+    .toEqual({ min: 400, max: 400 });
+  expect(estimate(defineScenario([stagger("n * 10", [move("x", 1, 300), move("x", 1, 300)])])).total)
+    .toEqual({ min: 300, max: Infinity });
+});
@@ -0,0 +1,38 @@
+import { createExpoHaptics, createVibrationHaptics, isHapticFeedback } from "../src/haptics.js";
+
+/* run :
+npm test -- tests/haptics.test.mjs
+*/
+
+test("haptics1.0 - the Expo adapter maps styles to impacts, notifications and selection", () => {
+  const calls = [];
+  const scheduled = [];
+  const Haptics = {
+    ImpactFeedbackStyle: { Light: "light", Medium: "medium", Heavy: "heavy" },
+    NotificationFeedbackType: { Success: "success", Warning: "warning", Error: "error" },
+    impactAsync: (style) => calls.push(["impact", style]),
+    notificationAsync: (type) => calls.push(["notification", type]),
+    selectionAsync: () => calls.push(["selection"]),
+  };
+  const haptics = createExpoHaptics(Haptics, { setTimeout: (fn, ms) => scheduled.push([fn, ms]) });
+
+  ["heavy", "warning", "selection"].forEach(haptics.trigger);
+  expect(calls).toEqual([["impact", "heavy"], ["notification", "warning"], ["selection"]]);
+
+  calls.length = 0;
+  haptics.trigger([0, 40, 60, 40]); // one impact per vibration of the pattern
+  expect(calls).toEqual([["impact", "medium"]]);
+  expect(scheduled.map(([, ms]) => ms)).toEqual([100]);
+});
+
+test("haptics1.1 - the Vibration adapter plays durations and patterns", () => {
+  const vibrations = [];
+  const haptics = createVibrationHaptics({ vibrate: (pattern) => vibrations.push(pattern) });
+
+  haptics.trigger("light");
+  haptics.trigger("error");
+  haptics.trigger([0, 200]);
+  expect(vibrations).toEqual([10, [0, 40, 50, 40, 50, 40], [0, 200]]);
+  expect(isHapticFeedback("wobble")).toBe(false);
+  expect(isHapticFeedback([0, -5])).toBe(false);
+});
@@ -0,0 +1,63 @@
+import { loadScenarioFromString, move, inc, label, callback, defineScenario } from "../src/scenarioEngine.js";
+
+/* run :
+npm test -- tests/loadScenarioFromString.test.mjs
+*/
+
+test("parser1.0 - builds steps from helper calls", () => {
+  const scenario = loadScenarioFromString(`
+    // intro
+    defineScenario([
+      label('start'),
+      move("x", inc(50), 500),
+      move("y", -1.5e2, 300, "up", { native: false, }),
+      callback("track", { step: 1, "name": \`intro\`, tags: [true, null] }),
+    ]);
+  `);
+
+  expect(scenario).toEqual(defineScenario([
+    label("start"),
+    move("x", inc(50), 500),
+    move("y", -150, 300, "up", { native: false }),
+    callback("track", { step: 1, name: "intro", tags: [true, null] }),
+  ]));
+  expect(Object.isFrozen(scenario)).toBe(true);
+});
+
+test("parser1.1 - does not evaluate JavaScript", () => {
+  globalThis.__pwned = false;
+  expect(() => loadScenarioFromString(`[callback(globalThis)]`)).toThrow("unknown identifier 'globalThis'");
+  expect(() => loadScenarioFromString(`[callback((globalThis.__pwned = true))]`)).toThrow("Syntax error");
+  expect(() => loadScenarioFromString(`[ifThen(() => true)]`)).toThrow("Syntax error");
+  expect(() => loadScenarioFromString(`[constructor("x")]`)).toThrow("unknown function 'constructor'");
+  expect(globalThis.__pwned).toBe(false);
+  delete globalThis.__pwned;
+});
+
+test("parser1.2 - reports syntax errors with line and column", () => {
+  let error;
+  try {
+    loadScenarioFromString(`defineScenario([\n  move("x", 1, 500)\n  move("y", 1, 500),\n])`);
+  } catch (e) {
+    error = e;
+  }
+  expect(error.message).toBe("Syntax error at line 3, column 3: expected ',' or ']' but found 'move'");
+  expect(error.line).toBe(3);
+  expect(error.column).toBe(3);
+
+  expect(() => loadScenarioFromString(`[label("a)]`)).toThrow("line 1, column 8: unterminated string");
+  expect(() => loadScenarioFromString(`[label("a")] extra`)).toThrow("unexpected 'extra'");
+  expect(() => loadScenarioFromString(`defineScenario("x")`)).toThrow("defineScenario(): defineScenario() requires an array");
+});
+
+test("parser1.3 - result must be an array", () => {
+  expect(() => loadScenarioFromString(`move("x", 1, 500)`)).toThrow("Scenario must be an array");
+});
+
+test("parser1.4 - rejects keys that would replace the prototype of an object", () => {
+  expect(() => loadScenarioFromString(`[callback("track", {\n  "__proto__": { polluted: true } })]`))
+    .toThrow("Syntax error at line 2, column 3: property name '__proto__' is not allowed");
+  expect(() => loadScenarioFromString(`[callback("track", { constructor: {} })]`)).toThrow("property name 'constructor' is not allowed");
+  expect(() => loadScenarioFromString(`[callback("track", { 'prototype': 1 })]`)).toThrow("property name 'prototype' is not allowed");
+  expect({}.polluted).toBeUndefined();
+});
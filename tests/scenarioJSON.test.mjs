@@ -0,0 +1,92 @@
+import { serializeScenario, parseScenarioJSON, SCENARIO_SCHEMA_VERSION } from "../src/scenarioJSON.js";
+import { easing, getEasingName } from "../src/easing.js";
+import { defineScenario, move, inc, label, ifThen, ifElse, ifEnd, callback, use, parallel, spring, keyframes, goto, loadScenarioFromString, defineBlock, param, dec } from "../src/scenarioEngine.js";
+
+/* run :
+npm test -- tests/scenarioJSON.test.mjs
+*/
+
+const blocks = {
+  bounce: defineScenario([
+    keyframes("y", [{ value: -30, duration: 200, easing: easing("out(quad)") }, { value: 0, duration: 200 }]),
+  ]),
+};
+
+const scenario = defineScenario([
+  label("start"),
+  move("x", inc(50), 500, "slide", { easing: easing("inOut(quad)"), native: false }),
+  ifThen("isLeft"),
+  use("bounce"),
+  ifElse(),
+  parallel([spring("x", 0, { friction: 4 }), move("y", 10, 300)]),
+  ifEnd(),
+  callback("track", { step: 1, tags: ["a"] }),
+  goto("start"),
+]);
+
+test("json1.0 - serializeScenario / parseScenarioJSON round trip", () => {
+  const json = serializeScenario(scenario, blocks);
+  expect(json.version).toBe(SCENARIO_SCHEMA_VERSION);
+  expect(json.scenario[1]).toEqual({ type: "move", target: "x", to: { type: "inc", value: 50 }, duration: 500, label: "slide", easing: "inOut(quad)", native: false });
+  expect(json.blocks.bounce[0].frames[0].easing).toBe("out(quad)");
+
+  const parsed = parseScenarioJSON(JSON.stringify(json));
+  expect(parsed.scenario).toEqual(scenario);
+  expect(parsed.blocks).toEqual(blocks);
+  expect(getEasingName(parsed.scenario[1].easing)).toBe("inOut(quad)");
+  expect(Object.isFrozen(parsed.scenario[1])).toBe(true);
+});
+
+test("json1.1 - parseScenarioJSON compiles when options are given", () => {
+  const { compiled } = parseScenarioJSON(serializeScenario(scenario, blocks), {
+    initialValues: { x: 0, y: 0 },
+    callbacks: { isLeft: () => true, track: () => {} },
+  });
+  expect(compiled.labels).toEqual({ start: 0 });
+  expect(() => parseScenarioJSON(serializeScenario(scenario, blocks), { initialValues: { x: 0 } }))
+    .toThrow("Missing initial value for target: y");
+});
+
+test("json1.2 - functions cannot be serialized", () => {
+  expect(() => serializeScenario([ifThen(() => true), ifEnd()]))
+    .toThrow("scenario[0].condition: functions cannot be serialized, reference a callback by name");
+  expect(() => serializeScenario([move("x", 1, 100, null, { easing: t => t })]))
+    .toThrow(`scenario[0].easing: easing must be created by name with easing("...")`);
+});
+
+test("json1.3 - rejects unknown fields, types and versions", () => {
+  const json = { version: 1, scenario: [{ type: "move", target: "x", to: 1, duration: 100, speed: 2 }, { type: "teleport" }] };
+  expect(() => parseScenarioJSON(json)).toThrow("scenario[0]: unknown field 'speed' for 'move' step");
+  expect(() => parseScenarioJSON(json)).toThrow("scenario[1]: unknown step type 'teleport'");
+  expect(() => parseScenarioJSON({ version: 2, scenario: [] })).toThrow("unsupported version 2, expected 1");
+  expect(() => parseScenarioJSON({ version: 1, scenario: [], extra: true })).toThrow("unknown field 'extra'");
+  expect(() => parseScenarioJSON({ version: 1, scenario: [{ type: "move", target: "x", to: 1, duration: 100, easing: "wobble" }] }))
+    .toThrow(`Invalid easing "wobble": unknown easing 'wobble'`);
+  expect(() => parseScenarioJSON("{")).toThrow("Invalid scenario JSON");
+});
+
+test("easing1.0 - named easings match the expected curves", () => {
+  expect(easing("linear")(0.3)).toBeCloseTo(0.3);
+  expect(easing("inOut(quad)")(0.25)).toBeCloseTo(0.125);
+  expect(easing("out(cubic)")(0.5)).toBeCloseTo(0.875);
+  expect(easing("bezier(0, 0, 1, 1)")(0.4)).toBeCloseTo(0.4);
+  expect(easing("inOut( quad )")).toBe(easing("inOut(quad)"));
+  expect(() => easing("inOut(2)")).toThrow("inOut() expects one easing");
+  expect(getEasingName(loadScenarioFromString(`[move("x", 1, 100, null, { easing: easing("sin") })]`)[0].easing)).toBe("sin");
+});
+
+test("json1.4 - parameterized blocks round trip", () => {
+  const blocks = {
+    bounce: defineBlock({ target: "string", height: { type: "number", default: 30 } }, [
+      move(param("target"), dec(param("height")), 200),
+    ]),
+  };
+  const scenario = defineScenario([use("bounce", { target: "y" })]);
+
+  const json = JSON.parse(JSON.stringify(serializeScenario(scenario, blocks)));
+  expect(json.blocks.bounce.steps[0].to).toEqual({ type: "dec", value: { type: "param", name: "height" } });
+
+  const parsed = parseScenarioJSON(json, { initialValues: { y: 0 } });
+  expect(parsed.blocks).toEqual(blocks);
+  expect(parsed.compiled.steps[0]).toEqual(expect.objectContaining({ target: "y", to: { type: "dec", value: 30 } }));
+});
@@ -0,0 +1,886 @@
+import { compileScenario } from "../src/compileScenario.js";
+import { createScenarioRunner } from "../src/scenarioRunner.js";
+import { defineScenario, move, delay, callback, hold, label, goto, resume, stop, set, ifJump, ifThen, ifElse, ifEnd, parallel, spring, keyframes, inc, repeat, endRepeat, whileDo, endWhile, setVar, incVar, call, ret, use, timeScale, fork, join, cancel, stagger, sequence, vibrate } from "../src/scenarioEngine.js";
+import { createFakeClock, createFakeDriver, flush } from "../src/drivers/fakeDriver.js";
+import { easing } from "../src/easing.js";
+
+/* run :
+npm test -- tests/scenarioRunner.test.mjs
+*/
+
+const setup = (scenario, initialValues, options = {}) => {
+  const clock = createFakeClock();
+  const driver = createFakeDriver(initialValues, clock);
+  const compiled = compileScenario(scenario, { initialValues, callbacks: options.callbacks, blocks: options.blocks, vars: options.vars });
+  const runner = createScenarioRunner(compiled, { driver, clock, initialValues, ...options });
+  return { clock, driver, runner };
+};
+
+test("runner1.0 - runs move and delay steps against a fake clock", async () => {
+  const { clock, driver, runner } = setup(defineScenario([
+    move("x", 100, 500),
+    delay(300),
+    move("x", inc(50), 200),
+  ]), { x: 0 });
+
+  const done = runner.start();
+  await clock.advance(500);
+  expect(driver.values.x).toBe(100);
+  await clock.advance(300);
+  expect(driver.values.x).toBe(100);
+  await clock.advance(200);
+  await done;
+  expect(driver.values.x).toBe(150);
+});
+
+test("runner1.1 - goto and resume return after the calling step", async () => {
+  const calls = [];
+  const { clock, runner } = setup(defineScenario([
+    goto("sub"),
+    callback("log", "after"),
+    stop(),
+    label("sub"),
+    callback("log", "sub"),
+    resume(),
+  ]), {}, { callbacks: { log: v => calls.push(v) } });
+
+  await runner.start();
+  await clock.advance(0);
+  expect(calls).toEqual(["sub", "after"]);
+  expect(runner.getState().stopped).toBe(true);
+});
+
+test("runner1.2 - ifThen / ifElse follow the condition", async () => {
+  const { driver, runner } = setup(defineScenario([
+    ifThen("isLeft"),
+    set("x", -1),
+    ifElse(),
+    set("x", 1),
+    ifEnd(),
+  ]), { x: 0 }, { callbacks: { isLeft: () => false } });
+
+  await runner.start();
+  expect(driver.values.x).toBe(1);
+});
+
+test("runner1.3 - hold waits for nextStep()", async () => {
+  const indexes = [];
+  const onStepIndexChange = i => indexes.push(i);
+  const { driver, runner } = setup(defineScenario([
+    hold("wait"),
+    set("x", 1),
+  ]), { x: 0 }, { onStepIndexChange });
+
+  const done = runner.start();
+  await flush();
+  expect(runner.getState().holding).toBe(true);
+  expect(driver.values.x).toBe(0);
+
+  await runner.nextStep();
+  await done;
+  expect(driver.values.x).toBe(1);
+  expect(indexes).toEqual([0, 1]);
+});
+
+test("runner1.4 - parallel runs spring and keyframes together", async () => {
+  const { clock, driver, runner } = setup(defineScenario([
+    parallel([
+      spring("scale", 1.2, { friction: 4 }),
+      keyframes("y", [{ value: -30, duration: 200 }, { value: inc(10), duration: 200 }]),
+    ]),
+  ]), { scale: 1, y: 0 });
+
+  const done = runner.start();
+  await clock.advance(500);
+  await done;
+  expect(driver.values).toEqual({ scale: 1.2, y: -20 });
+  expect(driver.animations.find(a => a.type === "spring")).toEqual(expect.objectContaining({ type: "spring", friction: 4, toValue: 1.2 }));
+});
+
+test("runner1.5 - manual mode only advances with nextStep() and wraps around", async () => {
+  const { driver, runner } = setup(defineScenario([
+    set("x", 1),
+    set("x", 2),
+  ]), { x: 0 }, { mode: "manual" });
+
+  expect(runner.start()).toBeUndefined();
+  await runner.nextStep();
+  expect(driver.values.x).toBe(1);
+  await runner.nextStep();
+  expect(driver.values.x).toBe(2);
+  expect(runner.getState().stepIndex).toBe(0);
+});
+
+test("runner1.6 - reset restores initial values", async () => {
+  const { driver, runner } = setup(defineScenario([
+    set("x", 5),
+  ]), { x: 3 });
+
+  await runner.start();
+  expect(driver.values.x).toBe(5);
+  runner.reset();
+  expect(driver.values.x).toBe(3);
+  expect(runner.getState().stepIndex).toBe(0);
+});
+
+test("runner2.0 - repeat and whileDo loops keep counters per nesting level", async () => {
+  let remaining = 2;
+  const calls = [];
+  const { runner } = setup(defineScenario([
+    repeat("getCount"),
+      callback("log", "outer"),
+      whileDo("hasMore"),
+        callback("consume"),
+      endWhile(),
+    endRepeat(),
+    repeat(0),
+      callback("log", "never"),
+    endRepeat(),
+  ]), {}, {
+    callbacks: {
+      getCount: () => 3,
+      hasMore: () => remaining > 0,
+      consume: () => { remaining--; calls.push("inner"); },
+      log: v => calls.push(v),
+    },
+  });
+
+  await runner.start();
+  expect(calls).toEqual(["outer", "inner", "inner", "outer", "outer"]);
+  expect(runner.getState().loops).toEqual([]);
+});
+
+test("runner2.1 - reset clears loop counters", async () => {
+  const { runner } = setup(defineScenario([
+    repeat(2),
+      hold(),
+    endRepeat(),
+  ]), {}, { mode: "manual" });
+
+  await runner.nextStep();
+  expect(runner.getState().loops).toEqual([{ index: 0, count: 2, iteration: 0 }]);
+  runner.reset();
+  expect(runner.getState().loops).toEqual([]);
+});
+
+test("runner3.0 - variables drive conditions, moves and delays", async () => {
+  const changes = [];
+  const { clock, driver, runner } = setup(defineScenario([
+    whileDo("attempts < 3"),
+      incVar("attempts"),
+      incVar("score", "attempts * 2"),
+    endWhile(),
+    ifThen("score > 10 && attempts == 3"),
+      move("x", "score + 20", 300),
+      delay("attempts * 100"),
+    ifEnd(),
+    setVar("done", true),
+  ]), { x: 0 }, {
+    vars: { attempts: 0, score: 0, done: false },
+    onVarsChange: vars => changes.push(vars),
+  });
+
+  const done = runner.start();
+  await clock.advance(300);
+  expect(driver.values.x).toBe(32);
+  await clock.advance(300);
+  await done;
+  expect(runner.getVars()).toEqual({ attempts: 3, score: 12, done: true });
+  expect(changes).toHaveLength(7);
+  expect(clock.now()).toBe(600);
+
+  runner.reset();
+  expect(runner.getVars()).toEqual({ attempts: 0, score: 0, done: false });
+});
+
+test("runner3.1 - setVar() from app code feeds expressions", async () => {
+  const { driver, runner } = setup(defineScenario([
+    hold(),
+    ifThen("choice == 'right'"),
+      set("x", 1),
+    ifElse(),
+      set("x", -1),
+    ifEnd(),
+  ]), { x: 0 }, { vars: { choice: null } });
+
+  const done = runner.start();
+  await flush();
+  runner.setVar("choice", "right");
+  await runner.nextStep();
+  await done;
+  expect(driver.values.x).toBe(1);
+  expect(() => runner.setVar("other", 1)).toThrow("Undeclared variable 'other'");
+});
+
+test("runner4.0 - call/ret use a return stack across blocks", async () => {
+  const calls = [];
+  const blocks = {
+    intro: defineScenario([
+      callback("log", "intro"),
+      call("outer"),
+      callback("log", "intro-end"),
+    ]),
+  };
+  const { runner } = setup(defineScenario([
+    use("intro"),
+    call("outer"),
+    stop(),
+    label("outer"),
+    callback("log", "outer"),
+    call("inner"),
+    callback("log", "outer-end"),
+    ret(),
+    label("inner"),
+    callback("log", "inner"),
+    callback("snapshot"),
+    ret(),
+  ]), {}, {
+    blocks,
+    callbacks: {
+      log: v => calls.push(v),
+      snapshot: () => calls.push(runner.getState().returnStack.map(f => f.label).join(">")),
+    },
+  });
+
+  await runner.start();
+  expect(calls).toEqual([
+    "intro", "outer", "inner", "outer>inner", "outer-end", "intro-end",
+    "outer", "inner", "outer>inner", "outer-end",
+  ]);
+  expect(runner.getState().returnStack).toEqual([]);
+});
+
+test("runner4.1 - call stack depth is limited", async () => {
+  const { runner } = setup(defineScenario([
+    label("again"),
+    call("again"),
+  ]), {}, { maxCallDepth: 4 });
+
+  await expect(runner.start()).rejects.toThrow("Call stack overflow: more than 4 nested calls (call 'again' at step 1)");
+});
+
+test("runner5.0 - goto and nextStep() reach labels of a specific block expansion", async () => {
+  const calls = [];
+  const blocks = {
+    intro: defineScenario([
+      callback("log", "intro"),
+      hold(),
+      label("again"),
+      callback("log", "again"),
+    ]),
+  };
+  const { runner } = setup(defineScenario([
+    use("intro"),
+    use("intro"),
+    goto("intro#1.again"),
+  ]), {}, { blocks, mode: "manual", callbacks: { log: v => calls.push(v) } });
+
+  await runner.nextStep("intro#2.again");
+  expect(calls).toEqual([]); // label step
+  await runner.nextStep();
+  expect(calls).toEqual(["again"]);
+  await runner.nextStep(); // goto intro#1.again
+  await runner.nextStep();
+  await runner.nextStep();
+  expect(calls).toEqual(["again", "again"]);
+  await expect(runner.nextStep("intro#3.again")).rejects.toThrow("Label 'intro#3.again' not found");
+});
+
+test("runner6.0 - emits step, label, loop and completion events", async () => {
+  const events = [];
+  const blocks = { fade: defineScenario([label("in"), move("x", 1, 100)]) };
+  let loops = 0;
+  const { clock, runner } = setup(defineScenario([
+    use("fade"),
+    label("end"),
+  ]), { x: 0 }, {
+    blocks,
+    loop: true,
+    onStepStart: e => events.push(`start ${e.index} ${e.step.type} ${e.label ?? "-"} ${e.block ?? "-"}`),
+    onStepEnd: e => events.push(`end ${e.index}`),
+    onLabel: e => events.push(`label ${e.label}`),
+    onLoop: e => {
+      events.push(`loop ${e.iteration}`);
+      if (++loops === 1) runner.stop();
+    },
+    onComplete: e => events.push(`complete ${e.stopped}`),
+  });
+
+  const done = runner.start();
+  await clock.advance(100);
+  await done;
+  expect(events).toEqual([
+    "start 0 label - fade", "label fade#1.in", "end 0",
+    "start 1 move fade#1.in fade", "end 1",
+    "start 2 label fade#1.in -", "label end", "end 2",
+    "loop 1",
+    "complete true",
+  ]);
+});
+
+test("runner6.1 - reports step errors to onError instead of rejecting", async () => {
+  const errors = [];
+  const completed = [];
+  const { runner } = setup(defineScenario([callback("fail"), callback("never")]), {}, {
+    callbacks: { fail: async () => { throw new Error("network"); }, never: () => completed.push("never") },
+    onError: e => errors.push(`${e.index} ${e.step.name} ${e.error.message}`),
+    onComplete: () => completed.push("complete"),
+  });
+
+  await runner.start();
+  expect(errors).toEqual(["0 fail network"]);
+  expect(completed).toEqual([]);
+
+  const { runner: plain } = setup(defineScenario([callback("fail")]), {}, { callbacks: { fail: async () => { throw new Error("network"); } } });
+  await expect(plain.start()).rejects.toThrow("network");
+});
+
+test("runner7.0 - exposes playback status through subscribe()", async () => {
+  const statuses = [];
+  const { clock, runner } = setup(defineScenario([
+    label("intro"),
+    move("x", 1, 100),
+    call("blink"),
+    stop(),
+    label("blink"),
+    hold(),
+    ret(),
+  ]), { x: 0 });
+  const unsubscribe = runner.subscribe(s => {
+    if (statuses[statuses.length - 1] !== s.status) statuses.push(s.status);
+  });
+
+  expect(runner.getSnapshot().status).toBe("idle");
+  const done = runner.start();
+  await clock.advance(100);
+  await flush();
+  expect(runner.getSnapshot()).toEqual(expect.objectContaining({
+    status: "holding",
+    currentLabel: "blink",
+    currentStep: { type: "hold" },
+    returnStack: [{ index: 3, label: "blink" }],
+  }));
+  runner.nextStep();
+  await done;
+  expect(runner.getSnapshot().status).toBe("stopped");
+  expect(statuses).toEqual(["running", "holding", "running", "stopped"]);
+
+  unsubscribe();
+  runner.reset();
+  expect(runner.getSnapshot().status).toBe("idle");
+  expect(statuses).toEqual(["running", "holding", "running", "stopped"]);
+});
+
+test("runner7.1 - manual mode waits in holding status between steps", async () => {
+  const { clock, runner } = setup(defineScenario([move("x", 1, 100), setVar("n", 1)]), { x: 0 }, { mode: "manual", vars: { n: 0 } });
+
+  const moving = runner.nextStep();
+  expect(runner.getSnapshot().status).toBe("running");
+  await clock.advance(100);
+  await moving;
+  expect(runner.getSnapshot().status).toBe("holding");
+  await runner.nextStep();
+  expect(runner.getSnapshot().status).toBe("finished");
+});
+
+test("runner8.0 - stop() cancels running animations, timers and holds", async () => {
+  const calls = [];
+  const { clock, driver, runner } = setup(defineScenario([
+    parallel([move("x", 100, 500), move("y", 100, 500)]),
+    callback("log", "after"),
+  ]), { x: 0, y: 0 }, { callbacks: { log: v => calls.push(v) } });
+
+  const done = runner.start();
+  await clock.advance(200);
+  runner.stop();
+  await done;
+  await clock.advance(1000);
+  expect(driver.values).toEqual({ x: 0, y: 0 });
+  expect(calls).toEqual([]);
+  expect(runner.getSnapshot().status).toBe("stopped");
+
+  const { clock: holdClock, runner: holding } = setup(defineScenario([delay(100), hold(), callback("log", "held")]), {}, { callbacks: { log: v => calls.push(v) } });
+  const held = holding.start();
+  await holdClock.advance(100);
+  holding.reset();
+  await held;
+  expect(holding.getState()).toEqual(expect.objectContaining({ holding: false, stepIndex: 0 }));
+  expect(calls).toEqual([]);
+});
+
+test("runner8.1 - async callbacks receive an AbortSignal", async () => {
+  let signal;
+  const calls = [];
+  const { runner } = setup(defineScenario([callback("load", 3), callback("log", "after")]), {}, {
+    callbacks: {
+      load: (value, options) => {
+        signal = options.signal;
+        return new Promise(() => {}); // never settles by itself
+      },
+      log: v => calls.push(v),
+    },
+  });
+
+  const done = runner.start();
+  await flush();
+  expect(signal.aborted).toBe(false);
+  runner.dispose();
+  await done;
+  expect(signal.aborted).toBe(true);
+  expect(calls).toEqual([]);
+  expect(runner.getSnapshot().status).toBe("stopped");
+});
+
+test("runner8.2 - every kind of callback gets the signal as its second argument", async () => {
+  const calls = [];
+  const spy = (kind, result) => (...args) => {
+    calls.push([kind, args.length, args[0], args[1]?.signal instanceof AbortSignal]);
+    return result;
+  };
+  const { runner } = setup(defineScenario([
+    callback("step"),
+    callback("step", 3),
+    ifThen("isReady"), set("x", "getX"), ifEnd(),
+  ]), { x: 0 }, { callbacks: { step: spy("step"), isReady: spy("condition", true), getX: spy("value", 5) } });
+
+  await runner.start();
+  expect(calls).toEqual([
+    ["step", 2, undefined, true],
+    ["step", 2, 3, true],
+    ["condition", 2, undefined, true],
+    ["value", 2, undefined, true],
+  ]);
+});
+
+test("runner9.0 - pause() and resume() keep the remaining time and easing curve", async () => {
+  const quad = easing("quad");
+  const { clock, driver, runner } = setup(defineScenario([
+    parallel([move("x", 100, 1000, undefined, { easing: quad }), move("y", 100, 400)]),
+    delay(500),
+    set("x", 0),
+  ]), { x: 0, y: 0 });
+
+  const done = runner.start();
+  await clock.advance(500);
+  runner.pause();
+  expect(runner.getSnapshot().status).toBe("paused");
+  expect(driver.values).toEqual({ x: 25, y: 100 });
+
+  await clock.advance(5000);
+  expect(driver.values.x).toBe(25);
+  runner.resume();
+  expect(runner.getSnapshot().status).toBe("running");
+  const rest = driver.animations[driver.animations.length - 1];
+  expect(rest).toEqual(expect.objectContaining({ target: "x", toValue: 100, duration: 500 }));
+  expect(25 + 75 * rest.easing(0.5)).toBeCloseTo(100 * quad(0.75));
+
+  await clock.advance(500);
+  expect(driver.values.x).toBe(100);
+  await clock.advance(200); // delay(500) paused after 200ms
+  runner.pause();
+  await clock.advance(1000);
+  expect(driver.values.x).toBe(100);
+  runner.resume();
+  await clock.advance(300);
+  await done;
+  expect(driver.values.x).toBe(0);
+  expect(runner.getSnapshot().status).toBe("finished");
+});
+
+test("runner10.0 - seek() replays steps in zero time and continues from there", async () => {
+  const linear = easing("linear");
+  const calls = [];
+  const { clock, driver, runner } = setup(defineScenario([
+    move("x", 100, 1000, undefined, { easing: linear }),
+    callback("log", "skipped while seeking"),
+    ifThen("n > 0"), set("y", 1), ifElse(), set("y", 2), ifEnd(),
+    delay(500),
+    label("b"),
+    setVar("n", 5),
+    move("x", 0, 1000, undefined, { easing: linear }),
+  ]), { x: 0, y: 0 }, { vars: { n: 0 }, callbacks: { log: v => calls.push(v) } });
+
+  await runner.seek(500);
+  expect(driver.values).toEqual({ x: 50, y: 0 });
+  expect(runner.getSnapshot().status).toBe("paused");
+
+  await runner.seek(1200);
+  expect(driver.values).toEqual({ x: 100, y: 2 });
+  expect(runner.getVars()).toEqual({ n: 0 });
+  expect(calls).toEqual([]);
+
+  runner.resume();
+  await clock.advance(300); // rest of the delay
+  expect(runner.getVars()).toEqual({ n: 5 });
+  await clock.advance(1000);
+  expect(driver.values.x).toBe(0);
+  expect(driver.animations[driver.animations.length - 1]).toEqual(expect.objectContaining({ target: "x", toValue: 0, duration: 1000 }));
+
+  runner.setVar("n", 1);
+  await runner.seekToLabel("b");
+  expect(driver.values).toEqual({ x: 100, y: 2 }); // vars were reset, n == 0
+  expect(runner.getSnapshot()).toEqual(expect.objectContaining({ status: "paused", currentLabel: undefined }));
+  expect(runner.getState().stepIndex).toBe(8);
+  await expect(runner.seekToLabel("nope")).rejects.toThrow("Label 'nope' not found");
+});
+
+test("runner10.1 - seek() rejects when its target is not reached or a step fails", async () => {
+  const late = defineScenario([move("x", 1, 100), ifThen("n > 0"), label("late"), ifEnd()]);
+  const looping = setup(late, { x: 0 }, { vars: { n: 0 }, loop: true }).runner;
+  await expect(looping.seekToLabel("late")).rejects.toThrow("label 'late' not reached within 10000 steps");
+  expect(looping.getSnapshot().status).toBe("idle");
+
+  const once = setup(late, { x: 0 }, { vars: { n: 0 } }).runner;
+  await expect(once.seekToLabel("late")).rejects.toThrow("label 'late' not reached");
+
+  const { driver, runner } = setup(defineScenario([
+    label("top"), move("x", 1, 100), move("x", 0, 100), goto("top"), label("after"),
+  ]), { x: 0 });
+  await expect(runner.seekToLabel("after")).rejects.toThrow("label 'after' not reached");
+  expect(driver.values.x).toBe(0);
+
+  const failing = setup(defineScenario([delay(100), ifThen("broken"), ifEnd()]), {}, {
+    callbacks: { broken: () => { throw new Error("network"); } },
+  }).runner;
+  await expect(failing.seek(500)).rejects.toThrow("network");
+});
+
+test("runner10.2 - seeking twice from idle stays paused, seeking while playing keeps playing", async () => {
+  const { clock, driver, runner } = setup(defineScenario([
+    move("x", 100, 1000, undefined, { easing: easing("linear") }),
+    move("x", 0, 1000, undefined, { easing: easing("linear") }),
+  ]), { x: 0 });
+
+  await runner.seek(1500);
+  expect(runner.getSnapshot().status).toBe("paused");
+  await runner.seek(500);
+  expect(runner.getSnapshot().status).toBe("paused");
+  expect(driver.values.x).toBe(50);
+
+  runner.resume();
+  await runner.seek(1500);
+  expect(runner.getSnapshot().status).toBe("running");
+  await clock.advance(500);
+  expect(driver.values.x).toBe(0);
+});
+
+test("runner11.0 - speed and setSpeed() scale durations, including the running animation", async () => {
+  const linear = easing("linear");
+  const { clock, driver, runner } = setup(defineScenario([
+    move("x", 100, 1000, undefined, { easing: linear }),
+    delay(1000),
+    set("x", 0),
+  ]), { x: 0 }, { speed: 2 });
+
+  const done = runner.start();
+  await flush();
+  expect(driver.animations[0].duration).toBe(500);
+  await clock.advance(250); // half of the move
+  runner.setSpeed(0.5);
+  expect(driver.values.x).toBe(50);
+  expect(driver.animations[1]).toEqual(expect.objectContaining({ toValue: 100, duration: 1000 }));
+  await clock.advance(1000);
+  expect(driver.values.x).toBe(100);
+  await clock.advance(1000); // half of the delay at 0.5x
+  runner.setSpeed(1);
+  await clock.advance(500);
+  await done;
+  expect(driver.values.x).toBe(0);
+  expect(() => runner.setSpeed(0)).toThrow("speed must be a positive number, got 0");
+});
+
+test("runner11.1 - timeScale() scales the rest of its block", async () => {
+  const blocks = { slow: defineScenario([move("x", 1, 100), timeScale(2), move("x", 2, 100), parallel([move("x", 3, 100)])]) };
+  const { clock, driver, runner } = setup(defineScenario([use("slow"), move("x", 4, 100)]), { x: 0 }, { blocks });
+
+  const done = runner.start();
+  await clock.advance(100 + 200 + 200 + 100);
+  await done;
+  expect(driver.animations.map(a => a.duration)).toEqual([100, 200, 200, 100]);
+});
+
+test("runner12.0 - prevStep() walks back the path taken and restores values and vars", async () => {
+  const { driver, runner } = setup(defineScenario([
+    set("x", 10),
+    setVar("n", 1),
+    ifJump("n > 0", "far"),
+    set("x", 99),
+    label("far"),
+    set("x", 20),
+  ]), { x: 0 }, { mode: "manual", vars: { n: 0 } });
+
+  for (let i = 0; i < 5; i++) await runner.nextStep();
+  expect(driver.values.x).toBe(20);
+  expect(runner.getSnapshot().canGoBack).toBe(true);
+
+  await runner.prevStep(); // set x 20
+  expect(driver.values.x).toBe(10);
+  await runner.prevStep(); // label, reached by the jump
+  await runner.prevStep(); // ifJump
+  expect(runner.getState().stepIndex).toBe(2);
+  await runner.prevStep(); // setVar
+  expect(runner.getVars()).toEqual({ n: 0 });
+  await runner.prevStep(); // set x 10
+  expect(driver.values.x).toBe(0);
+  expect(runner.getSnapshot()).toEqual(expect.objectContaining({ status: "idle", canGoBack: false }));
+  expect(await runner.prevStep()).toBe(false);
+
+  await runner.nextStep();
+  expect(driver.values.x).toBe(10);
+});
+
+test("runner12.1 - prevStep() skips a pending hold, animates back and keeps a bounded history", async () => {
+  const { clock, driver, runner } = setup(defineScenario([
+    move("x", 100, 200),
+    hold(),
+    move("x", 50, 200),
+  ]), { x: 0 }, { mode: "manual", historySize: 2 });
+
+  const first = runner.nextStep();
+  await clock.advance(200);
+  await first;
+  runner.nextStep(); // waits on the hold
+  await flush();
+  expect(runner.getSnapshot().status).toBe("holding");
+
+  const back = runner.prevStep({ animate: true, duration: 100 });
+  await flush();
+  expect(driver.animations[1]).toEqual(expect.objectContaining({ type: "timing", toValue: 0, duration: 100 }));
+  await clock.advance(100);
+  expect(await back).toBe(true);
+  expect(driver.values.x).toBe(0);
+  expect(runner.getSnapshot().status).toBe("idle");
+
+  // Only the last 2 steps are kept
+  const move1 = runner.nextStep();
+  await clock.advance(200);
+  await move1;
+  const held = runner.nextStep();
+  await runner.nextStep(); // releases the hold
+  await held;
+  const move2 = runner.nextStep();
+  await clock.advance(200);
+  await move2;
+  await runner.prevStep();
+  expect(driver.values.x).toBe(100);
+  await runner.prevStep();
+  expect(runner.getState().stepIndex).toBe(1);
+  expect(await runner.prevStep()).toBe(false);
+});
+
+test("runner13.0 - fork() runs a block as a track next to the main flow until cancel()", async () => {
+  const blocks = { pulse: defineScenario([label("top"), move("o", 0, 100), move("o", 1, 100), goto("top")]) };
+  const { clock, driver, runner } = setup(defineScenario([
+    fork("pulse", "p"),
+    move("x", 100, 300),
+    cancel("p"),
+    move("x", 0, 100),
+  ]), { x: 0, o: 1 }, { blocks });
+
+  const done = runner.start();
+  await clock.advance(250);
+  expect(driver.animations.filter(a => a.target === "o").length).toBe(3);
+  expect(runner.getSnapshot().tracks).toEqual([expect.objectContaining({ id: "p", block: "pulse", status: "running", stepIndex: 1 })]);
+
+  await clock.advance(50);
+  expect(runner.getSnapshot().tracks[0].status).toBe("stopped");
+  const pulses = driver.animations.filter(a => a.target === "o").length;
+  await clock.advance(100);
+  await done;
+  expect(driver.animations.filter(a => a.target === "o").length).toBe(pulses);
+  expect(driver.values.x).toBe(0);
+});
+
+test("runner13.1 - join() waits for a track and stop() tears tracks down", async () => {
+  const blocks = { fade: defineScenario([move("o", 0, 500)]), pulse: defineScenario([label("top"), move("o", 0, 100), goto("top")]) };
+  const { clock, driver, runner } = setup(defineScenario([
+    fork("fade", "f"),
+    move("x", 100, 100),
+    join("f"),
+    set("x", 5),
+  ]), { x: 0, o: 1 }, { blocks });
+
+  const done = runner.start();
+  await clock.advance(100);
+  expect(driver.values.x).toBe(100);
+  await clock.advance(400);
+  await done;
+  expect(driver.values).toEqual({ x: 5, o: 0 });
+  expect(runner.getState().tracks).toEqual([expect.objectContaining({ id: "f", status: "finished" })]);
+
+  const other = setup(defineScenario([fork("pulse", "p"), hold()]), { x: 0, o: 1 }, { blocks });
+  other.runner.start();
+  await other.clock.advance(150);
+  other.runner.stop();
+  const count = other.driver.animations.length;
+  await other.clock.advance(500);
+  expect(other.driver.animations.length).toBe(count);
+  expect(other.runner.getSnapshot().tracks).toEqual([]);
+});
+
+test("runner14.0 - stagger() starts its targets one interval apart and sequences run in order", async () => {
+  const calls = [];
+  const { clock, driver, runner } = setup(defineScenario([
+    stagger(100, [move("a", 1, 200), move("b", 1, 200), sequence([callback("ping"), move("c", 1, 100), setVar("n", 1)])]),
+    move("a", 0, 100),
+  ]), { a: 0, b: 0, c: 0 }, { callbacks: { ping: () => calls.push(clock.now()) }, vars: { n: 0 } });
+
+  const done = runner.start();
+  await clock.advance(150);
+  expect(driver.animations.map(a => a.target)).toEqual(["a", "b"]);
+  await clock.advance(100);
+  expect(calls).toEqual([200]);
+  expect(driver.values.a).toBe(1);
+  await clock.advance(50); // b and c are done at 300
+  expect(runner.getVars()).toEqual({ n: 1 });
+  expect(driver.animations.map(a => a.target)).toEqual(["a", "b", "c", "a"]);
+  await clock.advance(100);
+  await done;
+  expect(driver.values).toEqual({ a: 0, b: 1, c: 1 });
+});
+
+test("runner15.0 - moves color and {x, y} targets, and pauses them midway", async () => {
+  const { clock, driver, runner } = setup(defineScenario([
+    parallel([move("bg", "#ffffff", 100, undefined, { easing: easing("linear") }), move("pos", { x: 10, y: 20 }, 100, undefined, { easing: easing("linear") })]),
+  ]), { bg: "#000000", pos: { x: 0, y: 0 } });
+
+  const done = runner.start();
+  await flush();
+  expect(driver.animations.map(a => a.toValue)).toEqual(["#ffffff", { x: 10, y: 20 }]);
+  await clock.advance(50);
+  runner.pause();
+  expect(driver.values).toEqual({ bg: "rgba(128, 128, 128, 1)", pos: { x: 5, y: 10 } });
+  runner.resume();
+  await clock.advance(50);
+  await done;
+  expect(driver.values).toEqual({ bg: "#ffffff", pos: { x: 10, y: 20 } });
+});
+
+test("runner15.1 - takes color names as colors, unless a variable has that name", async () => {
+  const { driver, runner } = setup(defineScenario([
+    move("bg", "tomato", 100),
+    move("opacity", "red", 100),
+  ]), { bg: "#000000", opacity: 0 }, { vars: { red: 0.5 } });
+
+  const done = runner.start();
+  await flush();
+  expect(driver.animations.map(a => a.toValue)).toEqual(["tomato"]);
+  runner.stop();
+  await done;
+
+  await runner.seek(200);
+  expect(driver.values).toEqual({ bg: "tomato", opacity: 0.5 });
+});
+
+test("runner16.0 - vibrate() sends its style or pattern to the adapter, once or always per step", async () => {
+  const triggered = [];
+  const { runner } = setup(defineScenario([
+    repeat(2),
+      vibrate(),
+      vibrate("success", "always"),
+      vibrate([0, 40, 60, 40]),
+    endRepeat(),
+  ]), { x: 0 }, { haptics: { trigger: (feedback) => triggered.push(feedback) } });
+
+  await runner.start();
+  expect(triggered).toEqual(["light", "success", [0, 40, 60, 40], "success"]);
+
+  triggered.length = 0;
+  await runner.start(); // a new run vibrates again
+  expect(triggered).toEqual(["light", "success", [0, 40, 60, 40], "success"]);
+});
+
+test("runner16.1 - vibrationMode sets the default policy and adapters need trigger()", async () => {
+  const impacts = [];
+  const { runner } = setup(defineScenario([
+    repeat(2),
+      vibrate("heavy"),
+      vibrate("selection", "once"),
+    endRepeat(),
+  ]), { x: 0 }, { vibrationMode: "always", haptics: { trigger: (style) => impacts.push(style) } });
+
+  await runner.start();
+  expect(impacts).toEqual(["heavy", "selection", "heavy"]);
+  expect(() => setup(defineScenario([vibrate()]), { x: 0 }, { haptics: { impact: () => {} } }))
+    .toThrow("The \"haptics\" adapter needs a trigger(feedback) function.");
+});
+
+test("runner17.0 - the trace records steps, conditions, callback values and refs in a ring buffer", async () => {
+  const { clock, runner } = setup(defineScenario([
+    label("intro"),
+    ifThen("isLeft"),
+      move("x", "target", 100),
+    ifEnd(),
+    callback("done"),
+  ]), { x: 0 }, {
+    traceSize: 10,
+    callbacks: { isLeft: () => true, target: () => 40, done: () => "ok" },
+  });
+
+  const done = runner.start();
+  await clock.advance(100);
+  await done;
+  const trace = runner.exportTrace();
+  expect(trace).toEqual(expect.objectContaining({ version: 1, stepCount: 5, dropped: 0 }));
+  expect(trace.steps.map(entry => [entry.index, entry.type, entry.label])).toEqual([
+    [0, "label", "intro"], [1, "ifThen", "intro"], [2, "move", "intro"], [3, "ifEnd", "intro"], [4, "callback", "intro"],
+  ]);
+  expect(trace.steps[1].inputs).toEqual([{ kind: "condition", source: "isLeft", value: true }]);
+  expect(trace.steps[2]).toEqual(expect.objectContaining({
+    start: 0, end: 100, inputs: [{ kind: "value", source: "target", value: 40 }], before: { x: 0 }, after: { x: 40 },
+  }));
+  expect(trace.steps[4].inputs).toEqual([{ kind: "callback", source: "done", value: "ok" }]);
+  expect(JSON.parse(JSON.stringify(trace))).toEqual(trace);
+
+  // Only the last `traceSize` steps are kept
+  const small = setup(defineScenario([set("x", 1), set("x", 2), set("x", 3)]), { x: 0 }, { traceSize: 2 }).runner;
+  await small.start();
+  expect(small.exportTrace()).toEqual(expect.objectContaining({ dropped: 1 }));
+  expect(small.exportTrace().steps.map(entry => entry.index)).toEqual([1, 2]);
+});
+
+test("runner17.1 - replayTrace() answers conditions and value callbacks from the trace", async () => {
+  const scenario = defineScenario([
+    ifJump("isLeft", "left", "right"),
+    label("left"),
+    set("x", "pick"),
+    stop(),
+    label("right"),
+    set("x", -1),
+  ]);
+  let left = true;
+  let picked = 7;
+  const callbacks = { isLeft: () => left, pick: () => picked };
+  const recorder = setup(scenario, { x: 0 }, { traceSize: 20, callbacks }).runner;
+  await recorder.start();
+  const trace = recorder.exportTrace();
+
+  left = false;
+  picked = 99;
+  const { driver, runner } = setup(scenario, { x: 0 }, { traceSize: 20, callbacks });
+  await runner.replayTrace(trace);
+  expect(driver.values.x).toBe(7);
+  expect(runner.exportTrace().steps.map(entry => entry.index)).toEqual(trace.steps.map(entry => entry.index));
+
+  runner.replayTrace(null);
+  await runner.start();
+  expect(driver.values.x).toBe(-1);
+
+  expect(() => runner.replayTrace({ ...trace, dropped: 2 })).toThrow("its first 2 steps were dropped");
+  expect(() => runner.replayTrace({ version: 9 })).toThrow("unsupported trace version 9");
+});
+
+test("runner18.0 - loop and mode can be functions read when they are used", async () => {
+  let looping = true;
+  let mode = "manual";
+  const { runner } = setup(defineScenario([set("x", 1)]), { x: 0 }, {
+    loop: () => looping,
+    mode: () => mode,
+    onLoop: ({ iteration }) => { if (iteration === 2) looping = false; },
+  });
+
+  expect(runner.start()).toBeUndefined();
+  mode = "auto";
+  await runner.start();
+  expect(runner.getSnapshot()).toEqual(expect.objectContaining({ status: "finished", iteration: 2 }));
+});
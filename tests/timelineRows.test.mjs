@@ -0,0 +1,63 @@
+import { compileScenario } from "../src/compileScenario.js";
+import { estimateTimeline } from "../src/estimateTimeline.js";
+import { buildTimelineRows } from "../src/timelineRows.js";
+import { createScenarioRunner } from "../src/scenarioRunner.js";
+import { createFakeClock, createFakeDriver } from "../src/drivers/fakeDriver.js";
+import { defineScenario, move, delay, label, goto, hold, comment, ifThen, ifElse, ifEnd, repeat, endRepeat, use } from "../src/scenarioEngine.js";
+
+/* run :
+npm test -- tests/timelineRows.test.mjs
+*/
+
+const rowsOf = (scenario, options = {}) => {
+  const compiled = compileScenario(scenario, { initialValues: { x: 0 }, vars: { left: true }, ...options });
+  return buildTimelineRows(compiled, estimateTimeline(compiled));
+};
+
+test("rows1.0 - indents branches and loops and resolves goto targets", () => {
+  const rows = rowsOf(defineScenario([
+    label("intro"),
+    comment("slide in"),
+    ifThen("left"),
+      repeat(2),
+        move("x", 100, 400),
+      endRepeat(),
+    ifElse(),
+      delay(200),
+    ifEnd(),
+    hold(),
+    goto("intro"),
+  ]));
+
+  expect(rows.map(row => [row.title, row.depth])).toEqual([
+    ["intro", 0], ["slide in", 0], ["ifThen-2", 0], ["repeat-3", 1], ["move-4", 2], ["endRepeat-5", 1],
+    ["ifElse-6", 0], ["delay-7", 1], ["ifEnd-8", 0], ["hold-9", 0], ["goto → intro", 0],
+  ]);
+  expect(rows[10].jumps).toEqual([0]);
+  expect(rows[0].label).toBe("intro");
+  expect(rows[4].duration).toEqual({ min: 400, max: 400 });
+  expect(rows[9].duration).toEqual({ min: 0, max: Infinity });
+  expect(rows[7].start.min).toBe(0); // the goto loop makes max unbounded
+});
+
+test("rows1.1 - tags block steps with their block and qualified labels", () => {
+  const blocks = { glow: [label("top"), move("x", 1, 100), goto("top")] };
+  const rows = rowsOf(defineScenario([use("glow")]), { blocks });
+
+  expect(rows.map(row => row.block)).toEqual(["glow", "glow", "glow"]);
+  expect(rows[0].label).toBe("glow#1.top");
+  expect(rows[2].jumps).toEqual([0]);
+  expect(rows[2].start).not.toBeNull();
+});
+
+test("rows1.2 - seeking to the start of tapped rows keeps an idle scenario paused", async () => {
+  const initialValues = { x: 0 };
+  const compiled = compileScenario(defineScenario([move("x", 100, 1000), delay(500), move("x", 0, 1000)]), { initialValues });
+  const rows = buildTimelineRows(compiled, estimateTimeline(compiled));
+  const clock = createFakeClock();
+  const runner = createScenarioRunner(compiled, { driver: createFakeDriver(initialValues, clock), clock, initialValues });
+
+  await runner.seek(rows[2].start.min); // what TimelineView does on a tap, outside manual mode
+  await runner.seek(rows[1].start.min);
+  expect(runner.getSnapshot()).toEqual(expect.objectContaining({ status: "paused", stepIndex: 1 }));
+});